@@ -2,28 +2,279 @@
 import { execa } from "execa";
 import chalk from "chalk";
 import inquirer from "inquirer";
+import { Command, InvalidArgumentError, Option } from "commander";
+import { createReadStream, fstatSync } from "fs";
+import { readFile, rm, stat, writeFile } from "fs/promises";
+import { createInterface } from "readline";
+import { PassThrough } from "stream";
+import { join, relative, isAbsolute, resolve } from "path";
 import { ProjectScanner } from "./lib/scanner.js";
 import { PreferencesManager } from "./lib/preferences.js";
-import { DeviceManager } from "./lib/device.js";
+import { DeviceManager, deviceHints, isEndpoint } from "./lib/device.js";
+import { PidTracker } from "./lib/pid-tracker.js";
+import { LogWebServer } from "./lib/web-server.js";
+import {
+  SETTING_NAMES,
+  findConfigFile,
+  loadProjectConfig,
+  layerSettings,
+} from "./lib/project-config.js";
+import {
+  StreamControls,
+  KEY_HELP,
+  compileSearch,
+  highlightMatches,
+} from "./lib/stream-controls.js";
+import { LogFilter, BUILTIN_PRESETS, splitList } from "./lib/filters.js";
+import { CrashDetector, CRASH_TAGS } from "./lib/crash-detector.js";
+import { LogStats } from "./lib/log-stats.js";
+import { LogGuard, parseLineRule, toJUnit } from "./lib/log-guard.js";
+import {
+  AlertManager,
+  parseAlertRule,
+  describeAlertRule,
+} from "./lib/alerts.js";
+import { SourceMap } from "./lib/source-map.js";
+import { Retracer, findMappingFile } from "./lib/retrace.js";
+import { EventLogDecoder } from "./lib/event-log.js";
+import {
+  JS_TAG,
+  findSourceMap,
+  formatJsRecord,
+  hasBundleFrames,
+  symbolicateText,
+} from "./lib/react-native.js";
+import {
+  SessionRecorder,
+  readRecording,
+  recordingSize,
+} from "./lib/recorder.js";
+import {
+  parseSize,
+  parseDuration,
+  formatSize,
+  formatDuration,
+} from "./lib/units.js";
+import {
+  LogcatParser,
+  LOG_LEVEL_ORDER,
+  levelIndex,
+  parseBuffers,
+  parseLogcatTime,
+  shiftLogcatTime,
+} from "./lib/logcat-parser.js";
+
+function validatePackageName(input) {
+  const trimmed = input.trim();
+  if (!trimmed) return "Package name is required";
+  if (trimmed.length > 100) return "Package name too long (max 100 characters)";
+  if (!/^[a-zA-Z][a-zA-Z0-9._-]*$/.test(trimmed)) {
+    return "Invalid package name format (use letters, numbers, dots, underscores, hyphens)";
+  }
+  return true;
+}
+
+async function isDirectory(path) {
+  try {
+    return (await stat(path)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+async function validateScanPath(input) {
+  const path = input.trim();
+  if (!path) return "Path is required";
+  return (await isDirectory(path)) ? true : `Not a folder: ${path}`;
+}
+
+function appLabel(app) {
+  const variant = app.variant ? ` [${app.variant}]` : "";
+  const expo = app.expo ? chalk.magenta(" Expo") : "";
+  const config = app.config ? chalk.gray(" ⚙") : "";
+  return `${app.name}${variant} (${app.packageName})${expo}${config}`;
+}
+
+// `adb logcat | adb-logger`: stdin is a pipe or a file, rather than a
+// terminal or /dev/null as in many CI jobs. Only the bare command, which
+// can't be interactive without a terminal, goes by this; scripts and CI
+// steps often hand `watch` a pipe they never write to, so it needs --input -.
+function isPipedStdin() {
+  if (process.stdin.isTTY) return false;
+  try {
+    const stats = fstatSync(0);
+    return stats.isFIFO() || stats.isFile();
+  } catch {
+    return false;
+  }
+}
+
+function parsePort(value) {
+  const port = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  if (!(port >= 0 && port <= 65535)) {
+    throw new Error("Port must be a number between 0 and 65535");
+  }
+  return port;
+}
+
+function parseDepth(value) {
+  if (!/^\d+$/.test(value)) throw new Error("Depth must be a whole number");
+  return parseInt(value, 10);
+}
+
+function parseCount(value) {
+  if (!/^\d+$/.test(value)) throw new Error("Expected a whole number");
+  return parseInt(value, 10);
+}
+
+function parseLineCount(value) {
+  const count = parseCount(value);
+  if (count < 1) throw new Error("Expected at least 1 line");
+  return count;
+}
+
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+function parseAppSpec(value) {
+  const [name, level] = value.split("=");
+  const validation = validatePackageName(name);
+  if (validation !== true) throw new Error(`${validation}: ${name}`);
+  if (level !== undefined && !LOG_LEVEL_ORDER.includes(level.toUpperCase())) {
+    throw new Error(
+      `Invalid level "${level}" for ${name} (expected one of ${LOG_LEVEL_ORDER.join(
+        ", "
+      )})`
+    );
+  }
+  return {
+    packageName: name.trim(),
+    logLevel: level ? level.toUpperCase() : null,
+  };
+}
+
+const DEFAULT_MAX_RECONNECTS = 20;
+// A stream that ends sooner than this after a resume makes the next resume
+// wait twice as long, up to the maximum
+const STABLE_STREAM_MS = 60000;
+const MAX_RESUME_DELAY = 30000;
+
+const PREFIX_COLORS = [
+  chalk.cyan,
+  chalk.magenta,
+  chalk.yellow,
+  chalk.green,
+  chalk.blue,
+  chalk.red,
+];
+
+// Apps are prefixed with the last segment of their package name, or the
+// whole name when two apps share it
+function sessionApps(apps) {
+  const names = apps.map((app) => app.packageName);
+  const short = names.map((name) => name.split(".").pop());
+  const labels = names.map((name, index) =>
+    short.filter((label) => label === short[index]).length > 1
+      ? name
+      : short[index]
+  );
+  const width = Math.max(0, ...labels.map((label) => label.length)) + 3;
+
+  return apps.map((app, index) => ({
+    packageName: app.packageName,
+    logLevel: app.logLevel || null,
+    prefix:
+      apps.length > 1
+        ? PREFIX_COLORS[index % PREFIX_COLORS.length].bold(
+            `[${labels[index]}]`.padEnd(width)
+          )
+        : null,
+    mention: new RegExp(
+      // com.foo must not match inside com.foo.widget
+      `${app.packageName.replace(/[.]/g, "\\.")}(?!\\w|\\.\\w)`
+    ),
+    pid: null,
+    adb: null,
+  }));
+}
+
+function describeLevels(apps, logLevel) {
+  const overrides = apps
+    .filter((app) => app.logLevel)
+    .map((app) => `${app.packageName}: ${app.logLevel}`);
+  return overrides.length > 0
+    ? `${logLevel} (${overrides.join(", ")})`
+    : logLevel;
+}
+
+function bufferArgs(buffers) {
+  return buffers.flatMap((buffer) => ["-b", buffer]);
+}
+
+function describeStart(start) {
+  return /^\d+$/.test(start) ? `the last ${start} lines` : start;
+}
+
+function parseWith(parse) {
+  return (value) => {
+    try {
+      return parse(value);
+    } catch (error) {
+      throw new InvalidArgumentError(error.message);
+    }
+  };
+}
 
 class AdbLogger {
   constructor() {
     this.scanner = new ProjectScanner();
     this.preferences = new PreferencesManager();
     this.deviceManager = new DeviceManager();
-    this.logLevels = {
-      V: ["V/", "D/", "I/", "W/", "E/", "F/"],
-      D: ["D/", "I/", "W/", "E/", "F/"],
-      I: ["I/", "W/", "E/", "F/"],
-      W: ["W/", "E/", "F/"],
-      E: ["E/", "F/"],
-      F: ["F/"],
-    };
     this.activeProcesses = new Set();
     this.eventListeners = new Map();
+    this.trackers = new Set();
+    this.recorders = new Map();
+    this.crashDetectors = new Set();
+    this.scanController = null;
+    this.reconnectController = null;
+    this.stopping = false;
+    this.controls = null;
+    this.webServer = null;
+    this.sessionStats = null;
+    this.alerts = null;
+    this.guardRun = null;
+    // Filter presets shared through the project config
+    this.projectPresets = {};
+  }
+
+  // Output during a live session goes through the key controls, which keep
+  // the status footer below it
+  print(text) {
+    if (this.controls) this.controls.print(text);
+    else console.log(text);
   }
 
-  async run() {
+  async run(options = {}) {
+    if (isPipedStdin()) {
+      try {
+        await this.preferences.initialize();
+        const level = (await this.preferences.get("preferredLogLevel")) || "I";
+        await this.readLogs("-", [], level);
+      } catch (error) {
+        console.error(chalk.red("Error:"), error.message);
+        process.exit(1);
+      }
+      return;
+    }
+    if (!process.stdin.isTTY) {
+      console.error(
+        chalk.red("Error:"),
+        "Interactive mode requires a terminal. Use `adb-logger watch --package <name>` instead."
+      );
+      process.exit(1);
+    }
+
     try {
       console.log(chalk.blue.bold("🔍 ADB Logger CLI"));
       console.log(
@@ -32,14 +283,21 @@ class AdbLogger {
         )
       );
 
-      const deviceInfo = await this.deviceManager.checkDevices();
+      let deviceInfo = await this.checkDevices({ reconnect: true });
       if (!this.deviceManager.displayDeviceStatus(deviceInfo)) {
-        process.exit(1);
+        if (deviceInfo.error) process.exit(1);
+        deviceInfo = await this.deviceMenu();
+        if (!deviceInfo) process.exit(1);
       }
 
       await this.preferences.initialize();
-      const customPaths = await this.preferences.getCustomScanPaths();
-      const projects = await this.scanner.scanProjects(customPaths);
+      const deviceId = await this.selectDevice(deviceInfo);
+      await this.preferences.setLastDevice(deviceId);
+
+      const projects = await this.loadProjects({
+        rescan: options.rescan,
+        background: true,
+      });
 
       if (projects.length === 0) {
         console.log(
@@ -51,311 +309,3279 @@ class AdbLogger {
       }
 
       const recentApps = await this.preferences.getRecentApps();
-      const selectedApp = await this.selectApp(projects, recentApps);
-      const logLevel = await this.selectLogLevel();
+      const selectedApps = [].concat(
+        await this.selectApp(projects, recentApps)
+      );
+      // Symbolication files and the project config come from the first app
+      // that has a project
+      const project = selectedApps.find((app) => app.path) || {};
+      const config = project.path
+        ? await this.loadConfig(project.path, {
+            file: project.config,
+            walkUp: false,
+          })
+        : await this.loadConfig(process.cwd());
+      const defaults = config ? config.values : {};
+
+      const logLevel = await this.selectLogLevel(defaults.level);
+      const filter = await this.selectFilter(defaults);
+      const record = await this.selectRecording(defaults.record);
 
-      await this.preferences.addRecentApp(selectedApp);
+      for (const app of selectedApps) {
+        await this.preferences.addRecentApp(app);
+      }
       await this.preferences.setPreferredLogLevel(logLevel);
-      await this.preferences.setLastUsedPackage(selectedApp.packageName);
+      await this.preferences.setLastUsedPackage(selectedApps[0].packageName);
 
-      await this.startLogging(selectedApp.packageName, logLevel);
+      await this.startLogging(selectedApps, logLevel, deviceId, {
+        filter,
+        record: record
+          ? {
+              path:
+                typeof defaults.record === "string" ? defaults.record : null,
+              maxSize: defaults.rotateSize,
+              maxAge: defaults.rotateInterval,
+              gzip: defaults.gzip,
+              append: defaults.append,
+            }
+          : null,
+        reconnect: defaults.reconnect,
+        reconnectTimeout: defaults.reconnectTimeout,
+        maxReconnects: defaults.maxReconnects,
+        stats: defaults.stats,
+        summary: defaults.summary,
+        summaryJson: defaults.summaryJson,
+        alerts: defaults.alert,
+        clearLogcat: defaults.clearLogcat,
+        launch: defaults.launch,
+        restart: defaults.restart,
+        clearData: defaults.clearData,
+        buffers: defaults.buffer,
+        projectPath: project.path,
+        variant: project.variant,
+      });
     } catch (error) {
       console.error(chalk.red("Error:"), error.message);
       process.exit(1);
     }
   }
 
-  async selectApp(projects, recentApps) {
-    const choices = [];
+  async watch(flags, command) {
+    const { values: options } = await this.resolveSettings(flags, command);
+    const apps = options.package;
+    const input = options.input;
+    if (apps.length === 0 && !input) {
+      throw new Error(
+        "required option '-p, --package <name>' not specified (only optional with --input)"
+      );
+    }
+    const packageNames = apps.map((app) => app.packageName);
+    const duplicate = packageNames.find(
+      (name, index) => packageNames.indexOf(name) !== index
+    );
+    if (duplicate)
+      throw new Error(`Package given more than once: ${duplicate}`);
 
-    if (recentApps.length > 0) {
-      choices.push(new inquirer.Separator("--- Recent Apps ---"));
-      recentApps.forEach((app) => {
-        choices.push({
-          name: `${app.name} (${app.packageName})`,
-          value: app,
-          short: app.name,
-        });
+    const logLevel = options.level;
+    const filter = await this.resolveFilter(options);
+    const record = options.record
+      ? {
+          path: options.record === true ? null : options.record,
+          maxSize: options.rotateSize,
+          maxAge: options.rotateInterval,
+          gzip: options.gzip,
+          append: options.append,
+        }
+      : null;
+
+    const projectPath =
+      options.project || (await this.findProjectPath(packageNames));
+
+    if (options.since && options.last !== undefined) {
+      throw new Error("Use either --since or --last, not both");
+    }
+    if (input) {
+      if (options.web) {
+        throw new Error(
+          "--web streams a live device and can't be used with --input"
+        );
+      }
+      if (options.dump || options.since || options.last !== undefined) {
+        throw new Error(
+          "--dump, --since and --last read the device's buffers and can't be used with --input"
+        );
+      }
+      await this.readLogs(input, apps, logLevel, {
+        filter,
+        record,
+        projectPath,
+        sourceMap: options.sourceMap,
+        mapping: options.mapping,
       });
+      return;
     }
 
-    if (projects.length > 0) {
-      if (recentApps.length > 0) {
-        choices.push(new inquirer.Separator("--- Discovered Projects ---"));
+    if (options.dump) {
+      const conflict = [
+        ["web", "--web"],
+        ["launch", "--launch"],
+        ["restart", "--restart"],
+        ["clearData", "--clear-data"],
+        ["clearLogcat", "--clear-logcat"],
+      ].find(([key]) => options[key]);
+      if (conflict) {
+        throw new Error(`${conflict[1]} can't be used with --dump`);
       }
-      projects.forEach((project) => {
-        choices.push({
-          name: `${project.name} (${project.packageName})`,
-          value: project,
-          short: project.name,
-        });
+    }
+
+    const deviceId = await this.resolveDevice(options.device);
+    await this.preferences.setLastUsedPackage(packageNames[0]);
+    const start = await this.resolveStart(deviceId, options);
+
+    if (options.dump) {
+      await this.dumpLogs(apps, logLevel, deviceId, {
+        buffers: options.buffer,
+        start,
+        filter,
+        record,
+        projectPath,
+        sourceMap: options.sourceMap,
+        mapping: options.mapping,
       });
+      return;
     }
 
-    choices.push(
-      new inquirer.Separator("--- Options ---"),
-      { name: "Enter custom package name", value: "custom", short: "Custom" },
-      {
-        name: "Configure scan directories",
-        value: "configure",
-        short: "Configure",
-      }
+    await this.startLogging(apps, logLevel, deviceId, {
+      buffers: options.buffer,
+      start,
+      follow: options.follow,
+      clearLogcat: options.clearLogcat,
+      launch: options.launch,
+      restart: options.restart,
+      clearData: options.clearData,
+      reconnect: options.reconnect,
+      reconnectTimeout: options.reconnectTimeout,
+      maxReconnects: options.maxReconnects,
+      stats: options.stats,
+      summary: options.summary,
+      summaryJson: options.summaryJson,
+      alerts: options.alert,
+      web: options.web
+        ? {
+            port: options.web === true ? undefined : options.web,
+            host: options.webHost,
+          }
+        : null,
+      filter,
+      record,
+      projectPath,
+      sourceMap: options.sourceMap,
+      mapping: options.mapping,
+    });
+  }
+
+  // The -T/-t value for --last or --since; "10m" is counted back from the
+  // device's clock, which may differ from this machine's
+  async resolveStart(deviceId, { since = null, last }) {
+    if (last !== undefined) return String(last);
+    if (!since) return null;
+    if (since.time) return since.time;
+    const now = await this.deviceManager.getDeviceTime(deviceId);
+    if (!now) throw new Error("Cannot read the device clock for --since");
+    return shiftLogcatTime(now, -since.ago);
+  }
+
+  // Without prompts: a named device must be ready, otherwise exactly one
+  async resolveDevice(requested = null) {
+    const deviceInfo = await this.checkDevices({
+      reconnect: requested || false,
+    });
+    if (deviceInfo.error) throw new Error(deviceInfo.error);
+
+    const deviceId = requested || null;
+    const unavailable = deviceInfo.unavailable.find(
+      (device) => device.id === deviceId
     );
+    if (unavailable) {
+      throw new Error(
+        [
+          `Device ${deviceId} is ${unavailable.status}`,
+          ...deviceHints(unavailable),
+        ].join("\n  ")
+      );
+    }
+    if (!deviceInfo.connected) {
+      this.deviceManager.displayUnavailable(deviceInfo);
+      throw new Error("No Android devices or emulators connected");
+    }
+    if (deviceId && !deviceInfo.devices.some((d) => d.id === deviceId)) {
+      throw new Error(`Device not connected: ${deviceId}`);
+    }
+    if (!deviceId && deviceInfo.count > 1) {
+      throw new Error(
+        "Multiple devices connected. Pass --device <serial> to choose one."
+      );
+    }
 
-    if (choices.length <= 3) {
-      const { customPackage } = await inquirer.prompt([
-        {
-          type: "input",
-          name: "customPackage",
-          message: "Enter package name:",
-          validate: (input) => {
-            const trimmed = input.trim();
-            if (!trimmed) return "Package name is required";
-            if (trimmed.length > 100)
-              return "Package name too long (max 100 characters)";
-            if (!/^[a-zA-Z][a-zA-Z0-9._-]*$/.test(trimmed)) {
-              return "Invalid package name format (use letters, numbers, dots, underscores, hyphens)";
-            }
-            return true;
-          },
-        },
-      ]);
+    return deviceId || deviceInfo.devices[0].id;
+  }
 
-      return {
-        name: "Custom App",
-        packageName: customPackage.trim(),
-        path: null,
-      };
+  async assert(flags, command) {
+    const { values: options } = await this.resolveSettings(flags, command);
+    const apps = options.package;
+    if (apps.length === 0) {
+      throw new Error("required option '-p, --package <name>' not specified");
     }
+    const format =
+      options.format ||
+      (options.report && options.report.endsWith(".json") ? "json" : "junit");
+    const deviceId = await this.resolveDevice(options.device);
 
-    const { selectedApp } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "selectedApp",
-        message: "Select an app to monitor:",
-        choices,
-        pageSize: 15,
-      },
-    ]);
+    const guard = new LogGuard({
+      failOn: options.failOn,
+      allow: options.allow,
+      crashes: !options.allowCrashes,
+      context: options.context,
+      launch: Boolean(options.launch || options.restart || options.clearData),
+    });
+    let session = null;
+    // A burst of violations with --fail-fast must only stop the session once
+    let stopping = false;
+    const stop = () => {
+      if (!session || stopping) return;
+      stopping = true;
+      session.stop();
+    };
+    guard.on("violation", (violation) => {
+      if (violation.type === "line") {
+        this.print(
+          `${chalk.red.bold(`✗ ${violation.rule}`)} ${chalk.red(
+            violation.lines.join("\n")
+          )}`
+        );
+      } else if (violation.type === "launch") {
+        this.print(chalk.red.bold(`✗ ${violation.title}`));
+      }
+      if (options.failFast) stop();
+    });
+    this.guardRun = {
+      guard,
+      report: options.report,
+      format,
+      info: { packages: apps.map((app) => app.packageName), deviceId },
+    };
 
-    if (selectedApp === "custom") {
-      const { customPackage } = await inquirer.prompt([
-        {
-          type: "input",
-          name: "customPackage",
-          message: "Enter package name:",
-          validate: (input) => {
-            const trimmed = input.trim();
-            if (!trimmed) return "Package name is required";
-            if (trimmed.length > 100)
-              return "Package name too long (max 100 characters)";
-            if (!/^[a-zA-Z][a-zA-Z0-9._-]*$/.test(trimmed)) {
-              return "Invalid package name format (use letters, numbers, dots, underscores, hyphens)";
-            }
-            return true;
-          },
-        },
-      ]);
+    console.log(
+      chalk.gray(
+        `Failing on ${
+          [
+            ...guard.failOn.map((rule) => rule.spec),
+            guard.crashes ? "crashes" : null,
+          ]
+            .filter(Boolean)
+            .join(", ") || "nothing"
+        }${
+          guard.allow.length > 0
+            ? `, allowing ${guard.allow.map((rule) => rule.spec).join(", ")}`
+            : ""
+        }`
+      )
+    );
+    session = await this.startLogging(apps, "V", deviceId, {
+      follow: options.follow,
+      clearLogcat: options.clearLogcat,
+      launch: options.launch,
+      restart: options.restart,
+      clearData: options.clearData,
+      reconnect: options.reconnect,
+      reconnectTimeout: options.reconnectTimeout,
+      maxReconnects: options.maxReconnects,
+      summary: false,
+      guard,
+    });
 
-      return {
-        name: "Custom App",
-        packageName: customPackage.trim(),
-        path: null,
-      };
+    if (options.duration) {
+      setTimeout(() => {
+        console.log(
+          chalk.gray(`\n⏱  ${formatDuration(options.duration)} elapsed`)
+        );
+        stop();
+      }, options.duration);
     }
+  }
 
-    if (selectedApp === "configure") {
-      await this.configureScanPaths();
-      return this.selectApp(projects, recentApps);
-    }
+  async loadConfig(dir, { file = null, walkUp = true } = {}) {
+    const configFile = file
+      ? resolve(file)
+      : await findConfigFile(dir, { walkUp });
+    if (!configFile) return null;
 
-    return selectedApp;
+    const config = await loadProjectConfig(configFile);
+    this.projectPresets = config.presets;
+    if (config.values.package) {
+      config.values.package = config.values.package.map((spec) => {
+        try {
+          return parseAppSpec(spec);
+        } catch (error) {
+          throw new Error(
+            `${configFile}: invalid "package" (${error.message})`
+          );
+        }
+      });
+    }
+    return config;
   }
 
-  async selectLogLevel() {
-    const preferredLevel = await this.preferences.getPreferredLogLevel();
+  // Flags win over the project config, which wins over global preferences
+  async resolveSettings(options, command) {
+    await this.preferences.initialize();
+    const config = await this.loadConfig(options.project || process.cwd(), {
+      file: options.config,
+      walkUp: !options.project,
+    });
 
-    const { logLevel } = await inquirer.prompt([
+    const flags = {};
+    const defaults = {};
+    for (const [key, value] of Object.entries(options)) {
+      const source = command.getOptionValueSource(key);
+      if (source === "default") defaults[key] = value;
+      else if (source) flags[key] = value;
+    }
+
+    const settings = layerSettings([
+      { source: "flag", values: flags },
+      { source: "project config", values: config ? config.values : {} },
       {
-        type: "list",
-        name: "logLevel",
-        message: "Select log level:",
-        choices: [
-          { name: "Verbose (V) - All logs", value: "V" },
-          { name: "Debug (D) - Debug and above", value: "D" },
-          { name: "Info (I) - Info and above", value: "I" },
-          { name: "Warning (W) - Warnings and errors", value: "W" },
-          { name: "Error (E) - Errors only", value: "E" },
-          { name: "Fatal (F) - Fatal errors only", value: "F" },
-        ],
-        default: preferredLevel,
+        source: "global preferences",
+        values: {
+          level: (await this.preferences.get("preferredLogLevel")) || undefined,
+        },
       },
+      { source: "default", values: { level: "I", ...defaults } },
     ]);
-
-    return logLevel;
+    return { configFile: config ? config.file : null, ...settings };
   }
 
-  async configureScanPaths() {
-    const currentPaths = await this.preferences.getCustomScanPaths();
+  async showConfig(flags, command) {
+    const { configFile, values, origins } = await this.resolveSettings(
+      flags,
+      command
+    );
+    const keys = ["project", ...SETTING_NAMES];
 
-    const { action } = await inquirer.prompt([
-      {
-        type: "list",
-        name: "action",
-        message: "Configure scan paths:",
-        choices: [
-          { name: "Add new path", value: "add" },
-          { name: "View current paths", value: "view" },
-          { name: "Clear all custom paths", value: "clear" },
-          { name: "Back to app selection", value: "back" },
-        ],
-      },
-    ]);
+    if (flags.json) {
+      const settings = Object.fromEntries(
+        keys
+          .filter((key) => key in values)
+          .map((key) => [key, { value: values[key], source: origins[key] }])
+      );
+      console.log(JSON.stringify({ configFile, settings }, null, 2));
+      return;
+    }
 
-    if (action === "add") {
-      const { newPath } = await inquirer.prompt([
-        {
-          type: "input",
-          name: "newPath",
-          message: "Enter directory path to scan:",
-          validate: (input) => (input.trim() ? true : "Path is required"),
-        },
-      ]);
+    console.log(
+      chalk.gray(
+        configFile ? `Project config: ${configFile}` : "No project config found"
+      )
+    );
+    const format = {
+      package: (apps) =>
+        apps
+          .map((app) =>
+            app.logLevel
+              ? `${app.packageName}=${app.logLevel}`
+              : app.packageName
+          )
+          .join(", "),
+      rotateSize: formatSize,
+      rotateInterval: formatDuration,
+      reconnectTimeout: formatDuration,
+      stats: (value) =>
+        typeof value === "number" ? formatDuration(value) : String(value),
+      alert: (rules) => rules.map(describeAlertRule).join("; "),
+    };
+    const width = Math.max(...keys.map((key) => key.length));
+    for (const key of keys) {
+      const value = values[key];
+      const empty =
+        value === undefined || (Array.isArray(value) && value.length === 0);
+      const text = empty
+        ? chalk.gray("-")
+        : format[key]
+        ? format[key](value)
+        : [].concat(value).join(", ");
+      const source = empty ? "" : chalk.gray(`(${origins[key]})`);
+      console.log(`  ${key.padEnd(width)}  ${text} ${source}`.trimEnd());
+    }
+  }
 
-      await this.preferences.setCustomScanPaths([
-        ...currentPaths,
-        newPath.trim(),
-      ]);
-      console.log(chalk.green("✅ Path added successfully"));
-    } else if (action === "view") {
-      console.log(chalk.cyan("Current custom scan paths:"));
-      if (currentPaths.length === 0) {
-        console.log(chalk.gray("No custom paths configured"));
-      } else {
-        currentPaths.forEach((path, index) => {
-          console.log(chalk.cyan(`  ${index + 1}. ${path}`));
-        });
-      }
-    } else if (action === "clear") {
-      await this.preferences.setCustomScanPaths([]);
-      console.log(chalk.green("✅ All custom paths cleared"));
+  // Only consults the scan cache; a full scan isn't worth it just for this
+  async findProjectPath(packageNames) {
+    const cache = await this.preferences.getProjectCache();
+    for (const packageName of packageNames) {
+      const project = cache?.projects.find(
+        (entry) => entry.packageName === packageName
+      );
+      if (project) return project.path;
     }
+    return null;
   }
 
-  async startLogging(packageName, logLevel) {
-    console.log(chalk.blue(`\n🚀 Starting log monitoring for ${packageName}`));
-    console.log(chalk.gray(`Log level: ${logLevel}`));
-    console.log(chalk.gray("Press Ctrl+C to stop\n"));
+  async resolveFilter(options) {
+    let presetSpec = null;
+    if (options.preset) {
+      presetSpec = await this.getFilterPreset(options.preset);
+      if (!presetSpec)
+        throw new Error(`Unknown filter preset: ${options.preset}`);
+    }
 
-    const pid = await this.deviceManager.getPackagePid(packageName);
-    let adbArgs = ["logcat", "-v", "time"];
+    const spec = LogFilter.merge(presetSpec, {
+      includeTags: splitList(options.tag),
+      excludeTags: splitList(options.excludeTag),
+      messagePatterns: options.grep,
+      excludeMessagePatterns: options.grepExclude,
+      tagLevels: options.tagLevels,
+    });
+    const filter = new LogFilter(spec);
 
-    if (pid) {
-      adbArgs.push(`--pid=${pid}`);
-      console.log(chalk.green(`✅ Found running process (PID: ${pid})`));
-    } else {
+    if (options.savePreset) {
+      await this.preferences.saveFilterPreset(options.savePreset, filter.spec);
       console.log(
-        chalk.yellow(
-          `⚠️  App not running, monitoring all logs for package: ${packageName}`
-        )
+        chalk.green(`✅ Saved filter preset "${options.savePreset}"`)
       );
     }
 
-    let adb;
-    try {
-      adb = execa("adb", adbArgs);
-      this.activeProcesses.add(adb);
-    } catch (error) {
-      console.error(chalk.red("Failed to start ADB logcat:"), error.message);
+    return filter;
+  }
+
+  async getFilterPreset(name) {
+    const presets = await this.preferences.getFilterPresets();
+    return (
+      this.projectPresets[name] ||
+      presets[name] ||
+      BUILTIN_PRESETS[name] ||
+      null
+    );
+  }
+
+  async listPresets({ json, delete: name } = {}) {
+    await this.preferences.initialize();
+
+    if (name) {
+      if (!(await this.preferences.deleteFilterPreset(name))) {
+        throw new Error(`No saved filter preset named "${name}"`);
+      }
+      console.log(chalk.green(`✅ Deleted filter preset "${name}"`));
       return;
     }
 
-    const cleanup = () => {
-      if (adb && !adb.killed) {
-        adb.kill();
-        this.activeProcesses.delete(adb);
-      }
-      this.removeAllEventListeners();
+    await this.loadConfig(process.cwd());
+    const presets = {
+      ...BUILTIN_PRESETS,
+      ...(await this.preferences.getFilterPresets()),
+      ...this.projectPresets,
     };
 
-    const dataHandler = (chunk) => {
-      const line = chunk.toString();
-      if (!pid && !line.includes(packageName)) return;
-      if (!this.matchesLogLevel(line, logLevel)) return;
-      this.colorizeLog(line);
+    if (json) {
+      console.log(JSON.stringify(presets, null, 2));
+      return;
+    }
+
+    Object.entries(presets).forEach(([presetName, spec]) => {
+      console.log(`${presetName}\t${new LogFilter(spec).describe()}`);
+    });
+  }
+
+  // Remembered Wi-Fi devices are only reconnected when asked: all of them
+  // (`reconnect: true`) from the interactive picker, or the one a command
+  // names with --device, so scripts don't connect devices nobody chose
+  async checkDevices({ quiet = false, reconnect = false } = {}) {
+    await this.preferences.initialize();
+    const deviceInfo = await this.deviceManager.checkDevices();
+    if (deviceInfo.error || !reconnect) return deviceInfo;
+
+    const known = await this.preferences.getWirelessDevices();
+    const missing = known.filter(
+      (device) =>
+        (reconnect === true || device.endpoint === reconnect) &&
+        !deviceInfo.devices.some((d) => d.id === device.endpoint)
+    );
+    if (missing.length === 0) return deviceInfo;
+
+    const results = await Promise.all(
+      missing.map(async (device) => ({
+        device,
+        result: await this.deviceManager.connect(device.endpoint, 5000),
+      }))
+    );
+    const reconnected = results.filter(({ result }) => result.ok);
+    for (const { device } of reconnected) {
+      await this.preferences.addWirelessDevice({
+        ...device,
+        lastConnected: new Date().toISOString(),
+      });
+      if (!quiet) {
+        console.log(chalk.gray(`🔌 Reconnected to ${device.endpoint}`));
+      }
+    }
+
+    return reconnected.length > 0
+      ? this.deviceManager.checkDevices()
+      : deviceInfo;
+  }
+
+  async listDevices({ json } = {}) {
+    const deviceInfo = await this.checkDevices({ quiet: json });
+    if (deviceInfo.error) throw new Error(deviceInfo.error);
+
+    const devices = await this.deviceManager.getDeviceNames(deviceInfo.devices);
+    const listed = [...deviceInfo.devices, ...deviceInfo.unavailable];
+    const remembered = (await this.preferences.getWirelessDevices())
+      .filter((known) => !listed.some((device) => device.id === known.endpoint))
+      .map((known) => ({
+        id: known.endpoint,
+        status: "disconnected",
+        name: known.name,
+        wireless: true,
+      }));
+    const all = [
+      ...devices,
+      ...deviceInfo.unavailable.map((device) => ({ ...device, name: null })),
+      ...remembered,
+    ];
+
+    if (json) {
+      console.log(
+        JSON.stringify(
+          all.map(({ id, status, name, wireless }) => ({
+            id,
+            status,
+            name,
+            wireless,
+          })),
+          null,
+          2
+        )
+      );
+      return;
+    }
+    if (all.length === 0) {
+      console.log(chalk.yellow("No Android devices or emulators connected"));
+      return;
+    }
+    all.forEach((device) => {
+      const wireless = device.wireless ? chalk.gray(" (Wi-Fi)") : "";
+      const name =
+        device.status === "device"
+          ? device.name
+          : [chalk.yellow(device.status), device.name]
+              .filter(Boolean)
+              .join(" ");
+      console.log(`${device.id}\t${name}${wireless}`);
+    });
+    this.deviceManager.displayUnavailable(deviceInfo);
+  }
+
+  async pairDevice(endpoint, code, { connect } = {}) {
+    if (!isEndpoint(endpoint)) {
+      throw new Error(
+        `Expected host:port, e.g. 192.168.1.20:37123: ${endpoint}`
+      );
+    }
+    if (!code) {
+      if (!process.stdin.isTTY) {
+        throw new Error("Pass the 6-digit pairing code shown on the device");
+      }
+      ({ code } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "code",
+          message: "Pairing code shown on the device:",
+          validate: (input) =>
+            /^\d{6}$/.test(input.trim()) ? true : "Enter the 6-digit code",
+        },
+      ]));
+    }
+
+    const result = await this.deviceManager.pair(endpoint, code.trim());
+    if (!result.ok) throw new Error(`Pairing failed: ${result.message}`);
+    console.log(chalk.green(`✅ Paired with ${endpoint}`));
+
+    if (connect) {
+      await this.connectDevice(connect);
+    } else {
+      console.log(
+        chalk.gray(
+          "💡 Now connect with the IP address & port shown under Wireless debugging (not the pairing port): adb-logger devices connect <ip:port>"
+        )
+      );
+    }
+  }
+
+  async connectDevice(endpoint) {
+    if (!isEndpoint(endpoint)) {
+      throw new Error(
+        `Expected host:port, e.g. 192.168.1.20:5555: ${endpoint}`
+      );
+    }
+    const result = await this.deviceManager.connect(endpoint);
+    if (!result.ok) {
+      throw new Error(
+        `Cannot connect to ${endpoint}: ${result.message}\n  💡 Check that the phone is on the same network and Wireless debugging is on; its port changes each time it's turned on`
+      );
+    }
+
+    await this.preferences.initialize();
+    await this.preferences.addWirelessDevice({
+      endpoint,
+      name: await this.deviceManager.getDeviceName(endpoint),
+      lastConnected: new Date().toISOString(),
+    });
+    console.log(
+      chalk.green(
+        `✅ Connected to ${endpoint}; it will be reconnected automatically`
+      )
+    );
+  }
+
+  async disconnectDevice(endpoint, { forget } = {}) {
+    const result = await this.deviceManager.disconnect(endpoint);
+    if (result.ok) console.log(chalk.green(`✅ Disconnected ${endpoint}`));
+    else console.log(chalk.yellow(`⚠️  ${result.message}`));
+    if (forget) await this.forgetDevice(endpoint);
+  }
+
+  async forgetDevice(endpoint) {
+    await this.preferences.initialize();
+    if (!(await this.preferences.removeWirelessDevice(endpoint))) {
+      throw new Error(`No remembered Wi-Fi device ${endpoint}`);
+    }
+    console.log(chalk.green(`✅ Forgot ${endpoint}`));
+  }
+
+  // Offered when no usable device is found in the interactive flow
+  async deviceMenu() {
+    const askEndpoint = async (message) => {
+      const { endpoint } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "endpoint",
+          message,
+          validate: (input) => (isEndpoint(input) ? true : "Enter host:port"),
+        },
+      ]);
+      return endpoint.trim();
+    };
+
+    while (true) {
+      const known = await this.preferences.getWirelessDevices();
+      const { action } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "action",
+          message: "No device ready. What next?",
+          choices: [
+            { name: "Check again", value: "retry" },
+            ...known.map((device) => ({
+              name: `Connect to ${device.name || "Wi-Fi device"} (${
+                device.endpoint
+              })`,
+              value: device.endpoint,
+            })),
+            { name: "Connect to a Wi-Fi device by address", value: "connect" },
+            { name: "Pair a new Wi-Fi device", value: "pair" },
+            { name: "Exit", value: "exit" },
+          ],
+        },
+      ]);
+      if (action === "exit") return null;
+
+      try {
+        if (action === "pair") {
+          await this.pairDevice(
+            await askEndpoint(
+              "Pairing address (Wireless debugging → Pair device with pairing code):"
+            ),
+            null
+          );
+          await this.connectDevice(
+            await askEndpoint(
+              "Connect address (IP address & port on the Wireless debugging screen):"
+            )
+          );
+        } else if (action === "connect") {
+          await this.connectDevice(await askEndpoint("Device address:"));
+        } else if (action !== "retry") {
+          await this.connectDevice(action);
+        }
+      } catch (error) {
+        console.log(chalk.red(error.message));
+      }
+
+      const deviceInfo = await this.checkDevices({ reconnect: true });
+      if (this.deviceManager.displayDeviceStatus(deviceInfo)) {
+        return deviceInfo;
+      }
+    }
+  }
+
+  async listProjects({ json, rescan, maxDepth } = {}) {
+    await this.preferences.initialize();
+    const projects = await this.loadProjects({ rescan, maxDepth });
+
+    if (json) {
+      console.log(JSON.stringify(projects, null, 2));
+    } else if (projects.length === 0) {
+      console.log(chalk.yellow("No React Native projects found"));
+    } else {
+      projects.forEach((project) => {
+        const variant = project.variant || "-";
+        const type = project.expo ? "expo" : "bare";
+        console.log(
+          `${project.packageName}\t${project.name}\t${variant}\t${type}\t${project.path}`
+        );
+      });
+    }
+  }
+
+  // Serves projects from the cache when none of the scanned directories
+  // changed, and only walks the disk again when they did or on --rescan
+  async loadProjects({ rescan = false, background = false, maxDepth } = {}) {
+    const settings = await this.preferences.getScanSettings();
+    this.scanner.configure({
+      ...settings,
+      maxDepth: maxDepth ?? settings.maxDepth,
+    });
+
+    const customPaths = await this.preferences.getCustomScanPaths();
+    const signature = this.scanner.signature(customPaths);
+    const cache = await this.preferences.getProjectCache();
+
+    if (
+      !rescan &&
+      cache?.signature === signature &&
+      (await this.scanner.isFresh(cache.directories))
+    ) {
+      // Directory mtimes miss edits inside existing files (a changed
+      // applicationId), so refresh behind the prompts for next time
+      if (background) {
+        this.scanProjects(customPaths, signature).catch(() => {});
+      }
+      return cache.projects;
+    }
+
+    return this.scanProjects(customPaths, signature);
+  }
+
+  async scanProjects(customPaths, signature) {
+    if (this.scanController) this.scanController.abort();
+    const controller = new AbortController();
+    this.scanController = controller;
+
+    try {
+      const { projects, directories } = await this.scanner.scan(customPaths, {
+        signal: controller.signal,
+      });
+      await this.preferences.setProjectCache({
+        signature,
+        projects,
+        directories,
+        scannedAt: new Date().toISOString(),
+      });
+      return projects;
+    } finally {
+      if (this.scanController === controller) this.scanController = null;
+    }
+  }
+
+  async showPreferences({ json } = {}) {
+    await this.preferences.initialize();
+    const prefs = {
+      preferredLogLevel: await this.preferences.getPreferredLogLevel(),
+      lastUsedPackage: await this.preferences.getLastUsedPackage(),
+      customScanPaths: await this.preferences.getCustomScanPaths(),
+      recentApps: await this.preferences.getRecentApps(),
+    };
+
+    if (json) {
+      console.log(JSON.stringify(prefs, null, 2));
+      return;
+    }
+
+    console.log(chalk.cyan("Preferred log level:"), prefs.preferredLogLevel);
+    console.log(
+      chalk.cyan("Last used package:"),
+      prefs.lastUsedPackage || chalk.gray("none")
+    );
+    console.log(chalk.cyan("Custom scan paths:"));
+    if (prefs.customScanPaths.length === 0) {
+      console.log(chalk.gray("  No custom paths configured"));
+    } else {
+      for (const path of prefs.customScanPaths) {
+        const missing = (await isDirectory(path))
+          ? ""
+          : chalk.red(" (missing)");
+        console.log(`  ${path}${missing}`);
+      }
+    }
+    console.log(chalk.cyan("Recent apps:"));
+    if (prefs.recentApps.length === 0) {
+      console.log(chalk.gray("  No recent apps"));
+    } else {
+      prefs.recentApps.forEach((app) => {
+        console.log(`  ${app.name} (${app.packageName})`);
+      });
+    }
+  }
+
+  async manageRecentApps({ delete: packageName, json } = {}) {
+    await this.preferences.initialize();
+
+    if (packageName) {
+      if (!(await this.preferences.removeRecentApp(packageName))) {
+        throw new Error(`No recent app with package ${packageName}`);
+      }
+      console.log(chalk.green(`✅ Removed ${packageName} from recent apps`));
+      return;
+    }
+
+    const recentApps = await this.preferences.getRecentApps();
+    if (json) {
+      console.log(JSON.stringify(recentApps, null, 2));
+      return;
+    }
+    if (recentApps.length === 0) {
+      console.log(chalk.yellow("No recent apps"));
+      return;
+    }
+    recentApps.forEach((app) => console.log(appLabel(app)));
+  }
+
+  async manageAlertRules({ add, name, delete: remove, json } = {}) {
+    await this.preferences.initialize();
+
+    if (add) {
+      let rule;
+      try {
+        rule = parseAlertRule(add);
+      } catch (error) {
+        throw new Error(`Invalid alert rule: ${error.message}`);
+      }
+      const rules = await this.preferences.getAlertRules();
+      let ruleName = name || rule.name;
+      for (let index = 1; !ruleName; index++) {
+        if (!rules[`alert-${index}`]) ruleName = `alert-${index}`;
+      }
+      delete rule.name;
+      await this.preferences.saveAlertRule(ruleName, rule);
+      console.log(
+        chalk.green(`✅ Saved alert ${ruleName}: ${describeAlertRule(rule)}`)
+      );
+      return;
+    }
+
+    if (remove) {
+      if (!(await this.preferences.deleteAlertRule(remove))) {
+        throw new Error(`No saved alert rule ${remove}`);
+      }
+      console.log(chalk.green(`✅ Deleted alert ${remove}`));
+      return;
+    }
+
+    const rules = await this.preferences.getAlertRules();
+    if (json) {
+      console.log(JSON.stringify(rules, null, 2));
+      return;
+    }
+    const entries = Object.entries(rules);
+    if (entries.length === 0) {
+      console.log(chalk.yellow("No saved alert rules"));
+      return;
+    }
+    entries.forEach(([ruleName, rule]) =>
+      console.log(`${chalk.cyan(ruleName)}  ${describeAlertRule(rule)}`)
+    );
+  }
+
+  async manageScanPaths({ add, delete: remove, prune, json } = {}) {
+    await this.preferences.initialize();
+
+    if (add) {
+      const validation = await validateScanPath(add);
+      if (validation !== true) throw new Error(validation);
+      const paths = await this.preferences.getCustomScanPaths();
+      if (!paths.includes(add.trim())) {
+        await this.preferences.setCustomScanPaths([...paths, add.trim()]);
+      }
+      console.log(chalk.green(`✅ Added ${add.trim()}`));
+    }
+
+    if (remove) {
+      const removed = await this.preferences.removeCustomScanPaths([remove]);
+      if (removed.length === 0) {
+        throw new Error(`No custom scan path ${remove}`);
+      }
+      console.log(chalk.green(`✅ Removed ${remove}`));
+    }
+
+    const paths = await this.preferences.getCustomScanPaths();
+    const checked = [];
+    for (const path of paths) {
+      checked.push({ path, exists: await isDirectory(path) });
+    }
+
+    if (prune) {
+      const missing = checked.filter((entry) => !entry.exists);
+      await this.preferences.removeCustomScanPaths(
+        missing.map((entry) => entry.path)
+      );
+      missing.forEach(({ path }) =>
+        console.log(chalk.green(`✅ Removed missing path ${path}`))
+      );
+      if (missing.length === 0) console.log(chalk.gray("No missing paths"));
+      return;
+    }
+    if (add || remove) return;
+
+    if (json) {
+      console.log(JSON.stringify(checked, null, 2));
+      return;
+    }
+    if (checked.length === 0) {
+      console.log(chalk.yellow("No custom scan paths"));
+      return;
+    }
+    checked.forEach(({ path, exists }) => {
+      console.log(exists ? path : `${path} ${chalk.red("(missing)")}`);
+    });
+  }
+
+  async exportPreferences(file) {
+    await this.preferences.initialize();
+    const data = JSON.stringify(await this.preferences.exportAll(), null, 2);
+    if (!file || file === "-") {
+      console.log(data);
+      return;
+    }
+    await writeFile(file, `${data}\n`);
+    console.log(chalk.green(`✅ Exported preferences to ${file}`));
+  }
+
+  async importPreferences(file, { merge } = {}) {
+    let data;
+    try {
+      data = JSON.parse(await readFile(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+
+    await this.preferences.initialize();
+    const keys = await this.preferences.importAll(data, { merge });
+    console.log(
+      chalk.green(
+        `✅ ${merge ? "Merged" : "Imported"} ${keys.length} preference${
+          keys.length === 1 ? "" : "s"
+        } from ${file}`
+      )
+    );
+  }
+
+  async resetPreferences({ yes } = {}) {
+    if (!yes) {
+      if (!process.stdin.isTTY) {
+        throw new Error("Pass --yes to reset preferences without a prompt");
+      }
+      const { confirm } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirm",
+          message:
+            "Delete all saved preferences (recent apps, paths, presets, scan cache) and the recordings stored with them?",
+          default: false,
+        },
+      ]);
+      if (!confirm) return;
+    }
+
+    const kept = await this.preferences.clearAll();
+    console.log(chalk.green("✅ Preferences reset"));
+    if (kept.length > 0) {
+      console.log(chalk.gray("Recordings written to chosen paths were kept:"));
+      kept.forEach((file) => console.log(chalk.gray(`  ${file}`)));
+    }
+  }
+
+  async selectDevice(deviceInfo) {
+    if (deviceInfo.count === 1) return deviceInfo.devices[0].id;
+
+    const devices = await this.deviceManager.getDeviceNames(deviceInfo.devices);
+    const lastDevice = await this.preferences.getLastDevice();
+
+    const { deviceId } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "deviceId",
+        message: "Select a device:",
+        choices: devices.map((device) => ({
+          name: `${device.name} (${device.id})${
+            device.wireless ? " Wi-Fi" : ""
+          }`,
+          value: device.id,
+          short: device.name,
+        })),
+        default: devices.some((device) => device.id === lastDevice)
+          ? lastDevice
+          : undefined,
+      },
+    ]);
+
+    return deviceId;
+  }
+
+  async selectApp(projects, recentApps) {
+    const choices = [];
+
+    if (recentApps.length > 0) {
+      choices.push(new inquirer.Separator("--- Recent Apps ---"));
+      recentApps.forEach((app) => {
+        choices.push({
+          name: appLabel(app),
+          value: app,
+          short: app.name,
+        });
+      });
+    }
+
+    if (projects.length > 0) {
+      if (recentApps.length > 0) {
+        choices.push(new inquirer.Separator("--- Discovered Projects ---"));
+      }
+      projects.forEach((project) => {
+        choices.push({
+          name: appLabel(project),
+          value: project,
+          short: project.name,
+        });
+      });
+    }
+
+    const apps = choices.filter((choice) => choice.value);
+    choices.push(new inquirer.Separator("--- Options ---"));
+    if (apps.length > 1) {
+      choices.push({
+        name: "Select multiple apps",
+        value: "multiple",
+        short: "Multiple",
+      });
+    }
+    if (recentApps.length > 0) {
+      choices.push({
+        name: "Remove recent apps",
+        value: "forget",
+        short: "Remove recent",
+      });
+    }
+    choices.push(
+      { name: "Enter custom package name", value: "custom", short: "Custom" },
+      {
+        name: "Configure scan directories",
+        value: "configure",
+        short: "Configure",
+      }
+    );
+
+    if (choices.length <= 3) {
+      const { customPackage } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "customPackage",
+          message: "Enter package name:",
+          validate: validatePackageName,
+        },
+      ]);
+
+      return {
+        name: "Custom App",
+        packageName: customPackage.trim(),
+        path: null,
+      };
+    }
+
+    const { selectedApp } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selectedApp",
+        message: "Select an app to monitor:",
+        choices,
+        pageSize: 15,
+      },
+    ]);
+
+    if (selectedApp === "custom") {
+      const { customPackage } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "customPackage",
+          message: "Enter package name:",
+          validate: validatePackageName,
+        },
+      ]);
+
+      return {
+        name: "Custom App",
+        packageName: customPackage.trim(),
+        path: null,
+      };
+    }
+
+    if (selectedApp === "configure") {
+      await this.configureScanPaths();
+      return this.selectApp(projects, recentApps);
+    }
+
+    if (selectedApp === "forget") {
+      const { forget } = await inquirer.prompt([
+        {
+          type: "checkbox",
+          name: "forget",
+          message: "Select recent apps to remove:",
+          choices: recentApps.map((app) => ({
+            name: appLabel(app),
+            value: app.packageName,
+          })),
+        },
+      ]);
+      for (const packageName of forget) {
+        await this.preferences.removeRecentApp(packageName);
+      }
+      return this.selectApp(projects, await this.preferences.getRecentApps());
+    }
+
+    if (selectedApp === "multiple") {
+      return this.selectApps(apps);
+    }
+
+    return selectedApp;
+  }
+
+  async selectApps(choices) {
+    const { selectedApps } = await inquirer.prompt([
+      {
+        type: "checkbox",
+        name: "selectedApps",
+        message: "Select the apps to monitor together:",
+        choices,
+        pageSize: 15,
+        validate: (selected) =>
+          selected.length > 0 || "Select at least one app",
+      },
+    ]);
+
+    // Recent apps and discovered projects can list the same package
+    return selectedApps.filter(
+      (app, index) =>
+        selectedApps.findIndex(
+          (other) => other.packageName === app.packageName
+        ) === index
+    );
+  }
+
+  async selectLogLevel(projectLevel = null) {
+    const preferredLevel =
+      projectLevel || (await this.preferences.getPreferredLogLevel());
+
+    const { logLevel } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "logLevel",
+        message: "Select log level:",
+        choices: [
+          { name: "Verbose (V) - All logs", value: "V" },
+          { name: "Debug (D) - Debug and above", value: "D" },
+          { name: "Info (I) - Info and above", value: "I" },
+          { name: "Warning (W) - Warnings and errors", value: "W" },
+          { name: "Error (E) - Errors only", value: "E" },
+          { name: "Fatal (F) - Fatal errors only", value: "F" },
+        ],
+        default: preferredLevel,
+      },
+    ]);
+
+    return logLevel;
+  }
+
+  // Tag and message filters from the project config apply on top of the
+  // chosen preset
+  async selectFilter(defaults = {}) {
+    const savedPresets = await this.preferences.getFilterPresets();
+    const lastPreset =
+      defaults.preset || (await this.preferences.getLastFilterPreset());
+    const presets = {
+      ...BUILTIN_PRESETS,
+      ...savedPresets,
+      ...this.projectPresets,
+    };
+
+    const choices = [{ name: "No filters", value: null }];
+    Object.entries(presets).forEach(([name, spec]) => {
+      choices.push({
+        name: `${name} - ${new LogFilter(spec).describe()}`,
+        value: name,
+        short: name,
+      });
+    });
+    choices.push(new inquirer.Separator(), {
+      name: "Create new filter preset",
+      value: "create",
+      short: "Create",
+    });
+
+    const { presetName } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "presetName",
+        message: "Select a filter preset:",
+        choices,
+        default: lastPreset in presets ? lastPreset : null,
+      },
+    ]);
+
+    let spec = presetName ? presets[presetName] : null;
+    if (presetName === "create") {
+      const name = await this.createFilterPreset();
+      await this.preferences.setLastFilterPreset(name);
+      spec = (await this.preferences.getFilterPresets())[name];
+    } else {
+      await this.preferences.setLastFilterPreset(presetName);
+    }
+
+    return new LogFilter(
+      LogFilter.merge(spec, {
+        includeTags: defaults.tag,
+        excludeTags: defaults.excludeTag,
+        messagePatterns: defaults.grep,
+        excludeMessagePatterns: defaults.grepExclude,
+        tagLevels: defaults.tagLevels,
+      })
+    );
+  }
+
+  async createFilterPreset() {
+    const validateFilter = (spec) => {
+      try {
+        new LogFilter(spec);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    };
+
+    const answers = await inquirer.prompt([
+      {
+        type: "input",
+        name: "name",
+        message: "Preset name:",
+        validate: (input) => (input.trim() ? true : "Name is required"),
+      },
+      {
+        type: "input",
+        name: "includeTags",
+        message:
+          "Only show tags (comma separated, * wildcards, empty for all):",
+      },
+      {
+        type: "input",
+        name: "excludeTags",
+        message: "Hide tags (comma separated, * wildcards):",
+      },
+      {
+        type: "input",
+        name: "messagePattern",
+        message: "Only show messages matching regex (empty for all):",
+        validate: (input) =>
+          validateFilter({ messagePatterns: input ? [input] : [] }),
+      },
+      {
+        type: "input",
+        name: "tagLevels",
+        message: "Per-tag minimum levels (e.g. ReactNativeJS:V *:W):",
+        validate: (input) => validateFilter({ tagLevels: input }),
+      },
+    ]);
+
+    const filter = new LogFilter({
+      includeTags: answers.includeTags,
+      excludeTags: answers.excludeTags,
+      messagePatterns: answers.messagePattern ? [answers.messagePattern] : [],
+      tagLevels: answers.tagLevels,
+    });
+    const name = answers.name.trim();
+    await this.preferences.saveFilterPreset(name, filter.spec);
+    console.log(chalk.green(`✅ Saved filter preset "${name}"`));
+    return name;
+  }
+
+  async selectRecording(projectRecord) {
+    const { record } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "record",
+        message: "Record this session to disk?",
+        default:
+          projectRecord === undefined
+            ? await this.preferences.getRecordSessions()
+            : Boolean(projectRecord),
+      },
+    ]);
+
+    await this.preferences.setRecordSessions(record);
+    return record;
+  }
+
+  async configureScanPaths() {
+    const currentPaths = await this.preferences.getCustomScanPaths();
+
+    const { action } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: "Configure scan paths:",
+        choices: [
+          { name: "Add new path", value: "add" },
+          { name: "View current paths", value: "view" },
+          { name: "Remove paths", value: "remove" },
+          { name: "Clear all custom paths", value: "clear" },
+          {
+            name: "Scan settings (depth, roots, skipped folders)",
+            value: "settings",
+          },
+          { name: "Back to app selection", value: "back" },
+        ],
+      },
+    ]);
+
+    if (action === "settings") {
+      await this.configureScanSettings();
+    } else if (action === "add") {
+      const { newPath } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "newPath",
+          message: "Enter directory path to scan:",
+          validate: validateScanPath,
+        },
+      ]);
+
+      await this.preferences.setCustomScanPaths([
+        ...currentPaths,
+        newPath.trim(),
+      ]);
+      console.log(chalk.green("✅ Path added successfully"));
+    } else if (action === "view") {
+      console.log(chalk.cyan("Current custom scan paths:"));
+      if (currentPaths.length === 0) {
+        console.log(chalk.gray("No custom paths configured"));
+      } else {
+        for (const [index, path] of currentPaths.entries()) {
+          const missing = (await isDirectory(path))
+            ? ""
+            : chalk.red(" (missing)");
+          console.log(chalk.cyan(`  ${index + 1}. ${path}`) + missing);
+        }
+      }
+    } else if (action === "remove") {
+      if (currentPaths.length === 0) {
+        console.log(chalk.gray("No custom paths configured"));
+        return;
+      }
+      const choices = [];
+      for (const path of currentPaths) {
+        const exists = await isDirectory(path);
+        choices.push({
+          name: exists ? path : `${path} ${chalk.red("(missing)")}`,
+          value: path,
+          checked: !exists,
+        });
+      }
+      const { paths } = await inquirer.prompt([
+        {
+          type: "checkbox",
+          name: "paths",
+          message: "Select paths to remove (missing ones are preselected):",
+          choices,
+        },
+      ]);
+      await this.preferences.removeCustomScanPaths(paths);
+      console.log(chalk.green(`✅ Removed ${paths.length} path(s)`));
+    } else if (action === "clear") {
+      await this.preferences.setCustomScanPaths([]);
+      console.log(chalk.green("✅ All custom paths cleared"));
+    }
+  }
+
+  async configureScanSettings() {
+    const settings = await this.preferences.getScanSettings();
+
+    const answers = await inquirer.prompt([
+      {
+        type: "input",
+        name: "maxDepth",
+        message: "Maximum folder depth to scan:",
+        default: String(settings.maxDepth ?? this.scanner.maxDepth),
+        validate: (input) =>
+          /^\d+$/.test(input.trim()) ? true : "Enter a whole number",
+      },
+      {
+        type: "input",
+        name: "roots",
+        message:
+          "Default roots (comma separated, empty for Desktop, Documents and Projects):",
+        default: (settings.roots || []).join(", "),
+      },
+      {
+        type: "input",
+        name: "skipDirs",
+        message: "Extra folder names to skip (comma separated):",
+        default: (settings.skipDirs || []).join(", "),
+      },
+    ]);
+
+    await this.preferences.setScanSettings({
+      maxDepth: parseInt(answers.maxDepth, 10),
+      roots: answers.roots
+        .split(",")
+        .map((root) => root.trim())
+        .filter(Boolean),
+      skipDirs: splitList(answers.skipDirs),
+    });
+    console.log(chalk.green("✅ Scan settings saved, used from the next scan"));
+  }
+
+  async startLogging(apps, logLevel, deviceId = null, options = {}) {
+    const {
+      follow = true,
+      filter = new LogFilter(),
+      record = null,
+      reconnect = true,
+      reconnectTimeout = 5 * 60 * 1000,
+      maxReconnects = DEFAULT_MAX_RECONNECTS,
+      stats = false,
+      summary = true,
+      summaryJson = null,
+      alerts = [],
+      guard = null,
+      clearLogcat = false,
+      launch = false,
+      restart = false,
+      clearData = false,
+      start = null,
+    } = options;
+    const packageNames = apps.map((app) => app.packageName).join(", ");
+    const buffers =
+      options.buffers && options.buffers.length > 0
+        ? [...new Set(options.buffers)]
+        : null;
+
+    for (const { packageName } of apps) {
+      if (
+        !(await this.deviceManager.isPackageInstalled(packageName, deviceId))
+      ) {
+        throw new Error(
+          `${packageName} is not installed on ${deviceId || "the device"}`
+        );
+      }
+    }
+
+    console.log(chalk.blue(`\n🚀 Starting log monitoring for ${packageNames}`));
+    if (!guard) {
+      console.log(chalk.gray(`Log level: ${describeLevels(apps, logLevel)}`));
+    }
+    if (deviceId) console.log(chalk.gray(`Device: ${deviceId}`));
+    if (buffers) console.log(chalk.gray(`Buffers: ${buffers.join(", ")}`));
+    if (start) console.log(chalk.gray(`Starting from ${describeStart(start)}`));
+    if (!filter.isEmpty()) {
+      console.log(chalk.gray(`Filters: ${filter.describe()}`));
+    }
+    // Assert runs only print violations, so there's nothing to steer
+    const interactive = !guard && StreamControls.isSupported();
+    console.log(
+      chalk.gray(
+        interactive
+          ? "Press ? for key controls, q or Ctrl+C to stop\n"
+          : "Press Ctrl+C to stop\n"
+      )
+    );
+
+    const session = {
+      apps: sessionApps(apps),
+      logLevel,
+      deviceId,
+      filter,
+      recorder: null,
+      crashWatcher: null,
+      // The events buffer is read apart from the app's logcat, see
+      // spawnEventsWatcher
+      buffers: buffers && buffers.filter((buffer) => buffer !== "events"),
+      eventsWatcher: null,
+      eventLog: buffers?.includes("events")
+        ? new EventLogDecoder(
+            await this.deviceManager.getEventLogTags(deviceId)
+          )
+        : null,
+      web: null,
+      counts: { shown: 0, hidden: 0, matches: 0 },
+      search: null,
+      markers: 0,
+      // The configured filter while filters are switched off with "f"
+      savedFilter: null,
+      follow,
+      retry: { enabled: reconnect, timeoutMs: reconnectTimeout, maxReconnects },
+      reconnects: 0,
+      lost: false,
+      // The logcat shared by apps that aren't running, see spawnAppLogcats
+      shared: null,
+      // Where the crash and events watchers got to, for resuming
+      crashSeen: { lastSeen: null },
+      eventsSeen: { lastSeen: null },
+      resumedAt: Date.now(),
+      quickExits: 0,
+      stats: new LogStats(),
+      alerts: null,
+      guard,
+    };
+    session.crashDetector = this.createCrashDetector(session);
+
+    // Clearing data also stops the app; the launch waits until logcat runs so
+    // the startup logs are caught
+    if (clearData) await this.appAction(session, "clearData");
+    else if (restart) await this.appAction(session, "stop");
+    if (clearLogcat) await this.appAction(session, "clearLogcat");
+    if (guard) {
+      session.crashDetector.on("crash", (crash) => guard.addCrash(crash));
+    }
+
+    for (const app of session.apps) {
+      app.pid = await this.deviceManager.getPackagePid(
+        app.packageName,
+        deviceId
+      );
+    }
+
+    if (record) {
+      await this.startRecording(session, record);
+    }
+    await this.loadSymbolication(session, options);
+    if (options.web) {
+      await this.startWebViewer(session, options.web);
+    }
+    await this.startAlerts(session, alerts);
+
+    for (const { packageName, pid } of session.apps) {
+      if (pid) {
+        console.log(
+          chalk.green(`✅ Found running ${packageName} process (PID: ${pid})`)
+        );
+      } else if (follow) {
+        console.log(
+          chalk.yellow(
+            `⏳ App not running, waiting for ${packageName} to start...`
+          )
+        );
+      } else {
+        console.log(
+          chalk.yellow(
+            `⚠️  App not running, monitoring all logs for package: ${packageName}`
+          )
+        );
+      }
+    }
+
+    if (follow || session.apps.some((app) => app.pid)) {
+      await this.spawnCrashWatcher(session, null, start);
+    }
+    if (session.eventLog) {
+      await this.spawnEventsWatcher(session, null, start);
+    }
+    this.spawnAppLogcats(session, { start });
+
+    if (follow) {
+      for (const app of session.apps) {
+        this.trackApp(session, app);
+      }
+    }
+    if (launch || restart || clearData) await this.appAction(session, "launch");
+
+    // Exits with process.exitCode, which a failed assert run sets
+    const sigintHandler = async () => {
+      console.log(chalk.yellow("\n\n🛑 Stopping log monitoring..."));
+      await this.cleanup();
+      process.exit();
+    };
+    session.stop = sigintHandler;
+
+    // Remove any existing SIGINT handlers to prevent memory leaks
+    process.removeAllListeners("SIGINT");
+    process.on("SIGINT", sigintHandler);
+    // CI runners stop background jobs with SIGTERM
+    process.removeAllListeners("SIGTERM");
+    process.on("SIGTERM", sigintHandler);
+
+    this.sessionStats = { stats: session.stats, summary, summaryJson };
+    if (stats) {
+      const interval = stats === true ? 30000 : stats;
+      this.sessionStats.timer = setInterval(
+        () => this.printStats(session),
+        interval
+      );
+    }
+
+    if (interactive) this.startControls(session, sigintHandler);
+    return session;
+  }
+
+  startControls(session, onQuit) {
+    const controls = new StreamControls();
+    const notice = (message) => this.print(chalk.gray(`⚙️  ${message}`));
+
+    const setLevel = (level) => {
+      // A level picked while streaming applies to every app in the session
+      session.logLevel = level;
+      session.apps.forEach((app) => {
+        app.logLevel = null;
+      });
+      notice(`Log level set to ${level}`);
+    };
+
+    controls.on("quit", onQuit);
+    controls.on("level", (step) => {
+      const index = Math.min(
+        Math.max(levelIndex(session.logLevel) + step, 0),
+        LOG_LEVEL_ORDER.length - 1
+      );
+      setLevel(LOG_LEVEL_ORDER[index]);
+    });
+    controls.on("setLevel", (index) => setLevel(LOG_LEVEL_ORDER[index]));
+    controls.on("tag", (tag) => {
+      if (!tag) return;
+      const spec = (session.savedFilter || session.filter).spec;
+      const hidden = spec.excludeTags.includes(tag);
+      const filter = new LogFilter({
+        ...spec,
+        excludeTags: hidden
+          ? spec.excludeTags.filter((entry) => entry !== tag)
+          : [...spec.excludeTags, tag],
+      });
+      if (session.savedFilter) session.savedFilter = filter;
+      else session.filter = filter;
+      notice(`${hidden ? "Showing" : "Hiding"} tag ${tag}`);
+    });
+    controls.on("filters", () => {
+      if (session.savedFilter) {
+        session.filter = session.savedFilter;
+        session.savedFilter = null;
+        notice("Filters on");
+      } else {
+        session.savedFilter = session.filter;
+        session.filter = new LogFilter();
+        notice("Filters off");
+      }
+    });
+    controls.on("search", (text) => {
+      session.search = compileSearch(text);
+      session.counts.matches = 0;
+      notice(text ? `Highlighting ${text}` : "Search cleared");
+    });
+    controls.on("marker", () => this.insertMarker(session));
+    controls.on("stats", () => this.printStats(session));
+    controls.on("app", async (action) => {
+      if (action === "restart") {
+        await this.appAction(session, "stop");
+        await this.appAction(session, "launch");
+      } else {
+        await this.appAction(session, action);
+      }
+    });
+    controls.on("clearData", async (answer) => {
+      if (answer.toLowerCase() !== "y") return;
+      if (await this.appAction(session, "clearData")) {
+        await this.appAction(session, "launch");
+      }
+    });
+    controls.on("help", () => {
+      const lines = KEY_HELP.map(
+        ([keys, action]) => `  ${chalk.bold(keys.padEnd(12))} ${action}`
+      );
+      this.print([chalk.blue.bold("⌨️  Key controls"), ...lines].join("\n"));
+    });
+
+    controls.start(() => this.describeStatus(session));
+    this.controls = controls;
+  }
+
+  describeStatus(session) {
+    const { counts, search } = session;
+    return [
+      session.apps.map((app) => app.packageName).join(", "),
+      session.deviceId,
+      `level ${describeLevels(session.apps, session.logLevel)}`,
+      `${counts.shown} shown · ${counts.hidden} hidden`,
+      `${session.stats.linesPerSecond().toFixed(1)}/s`,
+      session.savedFilter ? "filters off" : null,
+      session.lost ? "📵 waiting for device" : null,
+      search ? `/${search.source} (${counts.matches})` : null,
+    ]
+      .filter(Boolean)
+      .join(" │ ");
+  }
+
+  insertMarker(session) {
+    session.markers += 1;
+    const time = new Date().toTimeString().slice(0, 8);
+    const text = `──────── MARKER ${session.markers} · ${time} ────────`;
+    this.print(chalk.bgBlue.white.bold(text));
+    if (session.recorder) session.recorder.write({ lines: [text] });
+    if (session.web) session.web.sendNotice(`Marker ${session.markers}`);
+  }
+
+  async startWebViewer(session, { port, host }) {
+    const server = new LogWebServer({ port, host });
+    let urls;
+    try {
+      urls = await server.start({
+        packages: session.apps.map((app) => app.packageName),
+        deviceId: session.deviceId,
+        logLevel: describeLevels(session.apps, session.logLevel),
+      });
+    } catch (error) {
+      throw new Error(`Cannot start web viewer: ${error.message}`);
+    }
+    session.web = server;
+    this.webServer = server;
+    urls.forEach((url) => console.log(chalk.magenta(`🌐 Web viewer: ${url}`)));
+  }
+
+  // Acts on every monitored app; the logcat buffer is shared by the device.
+  // A launch that fails in an assert run fails the run.
+  async appAction(session, action) {
+    const { deviceId, guard } = session;
+    const { deviceManager } = this;
+    const actions = {
+      launch: (packageName) => [
+        `Launched ${packageName}`,
+        `Cannot launch ${packageName}`,
+        () => deviceManager.launchApp(packageName, deviceId),
+      ],
+      stop: (packageName) => [
+        `Force-stopped ${packageName}`,
+        `Cannot force-stop ${packageName}`,
+        () => deviceManager.forceStop(packageName, deviceId),
+      ],
+      clearData: (packageName) => [
+        `Cleared the data of ${packageName}`,
+        `Cannot clear the data of ${packageName}`,
+        () => deviceManager.clearData(packageName, deviceId),
+      ],
+      clearLogcat: () => [
+        "Cleared the logcat buffer",
+        "Cannot clear the logcat buffer",
+        () => deviceManager.clearLogcat(deviceId),
+      ],
+    };
+    const targets =
+      action === "clearLogcat"
+        ? [null]
+        : session.apps.map((app) => app.packageName);
+
+    let ok = true;
+    for (const packageName of targets) {
+      const [done, failed, run] = actions[action](packageName);
+      const result = await run();
+      if (result.ok) {
+        this.print(chalk.gray(`⚙️  ${done}`));
+        continue;
+      }
+      ok = false;
+      this.print(chalk.yellow(`⚠️  ${failed}: ${result.message}`));
+      if (guard && action === "launch") {
+        guard.addLaunchFailure(packageName, result.message);
+      }
+    }
+    return ok;
+  }
+
+  // Saved rules apply to every session, on top of the ones passed in
+  async startAlerts(session, rules) {
+    const saved = Object.entries(await this.preferences.getAlertRules()).map(
+      ([name, rule]) => ({ ...rule, name })
+    );
+    const all = [...saved, ...rules];
+    if (all.length === 0) return;
+
+    const alerts = new AlertManager(all, {
+      packageNames: session.apps.map((app) => app.packageName),
+      deviceId: session.deviceId,
+    });
+    alerts.rules.forEach((rule) =>
+      console.log(
+        chalk.gray(`🔔 Alert ${rule.name}: ${describeAlertRule(rule)}`)
+      )
+    );
+
+    alerts.on("alert", ({ rule, record }) => {
+      this.print(
+        `${chalk.bgYellow.black.bold(` 🔔 ${rule.name} `)} ${chalk.yellow(
+          record.lines[0] || record.message
+        )}`
+      );
+      if (session.web) session.web.sendNotice(`Alert ${rule.name}`);
+    });
+    alerts.on("bell", () => process.stdout.write("\x07"));
+    alerts.on("failed", (message) =>
+      this.print(chalk.yellow(`⚠️  ${message}`))
+    );
+    alerts.on("stop", async ({ rule, lines }) => {
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const file = resolve(`adb-logger-alert-${stamp}.log`);
+      try {
+        await writeFile(file, `${lines.join("\n")}\n`);
+        this.print(chalk.yellow(`\n🛑 Alert ${rule.name} stopped the session`));
+        this.print(
+          chalk.gray(`Saved ${lines.length} lines of context to ${file}`)
+        );
+      } catch (error) {
+        this.print(chalk.red(`Cannot write ${file}: ${error.message}`));
+      }
+      await this.cleanup();
+      process.exit();
+    });
+
+    session.alerts = alerts;
+    this.alerts = alerts;
+  }
+
+  trackApp(session, app) {
+    const { packageName } = app;
+    const tracker = new PidTracker(
+      this.deviceManager,
+      packageName,
+      session.deviceId
+    );
+    tracker.on("died", (oldPid) => {
+      this.print(
+        chalk.red.bold(`\n💀 ${packageName} process died (PID ${oldPid})\n`)
+      );
+      if (session.web) {
+        session.web.sendNotice(`${packageName} process died (PID ${oldPid})`);
+      }
+    });
+    tracker.on("started", (newPid) => {
+      this.print(
+        chalk.green.bold(
+          `\n🚀 ${packageName} process started (PID ${newPid})\n`
+        )
+      );
+      if (session.web) {
+        session.web.sendNotice(
+          `${packageName} process started (PID ${newPid})`
+        );
+      }
+      // Logcat keeps the dead process attached until now so its last lines
+      // (usually the crash) still come through. The same PID coming back
+      // means the process never went away, so logcat picks up where it was.
+      this.stopLogcat(app);
+      const since = newPid === app.pid ? app.lastSeen : null;
+      app.pid = newPid;
+      this.spawnLogcat(session, app, since);
+    });
+    tracker.start(app.pid);
+    this.trackers.add(tracker);
+  }
+
+  async startRecording(session, { path, maxSize, maxAge, gzip, append }) {
+    const startTime = new Date();
+    const stamp = startTime.toISOString().replace(/[:.]/g, "-");
+    const packageNames = session.apps.map((app) => app.packageName);
+    const id = `${stamp}-${packageNames.join("+") || "input"}`;
+    const filePath = path || join(this.preferences.sessionsDir, `${id}.log`);
+
+    const recorder = new SessionRecorder(filePath, {
+      maxSize,
+      maxAge,
+      gzip,
+      append,
+    });
+    await recorder.open();
+    session.recorder = recorder;
+    this.recorders.set(recorder, id);
+
+    const expired = await this.preferences.addSession({
+      id,
+      packageName: packageNames.join(",") || null,
+      deviceId: session.deviceId,
+      logLevel: session.logLevel,
+      startTime: startTime.toISOString(),
+      endTime: null,
+      files: [filePath],
+    });
+    for (const entry of expired) {
+      await this.deleteRecordingFiles(entry, { managedOnly: true });
+    }
+
+    console.log(chalk.gray(`Recording to ${filePath}`));
+  }
+
+  async stopRecordings() {
+    for (const [recorder, id] of this.recorders) {
+      const files = await recorder.close();
+      await this.preferences.updateSession(id, {
+        endTime: new Date().toISOString(),
+        files,
+      });
+    }
+    this.recorders.clear();
+  }
+
+  async deleteRecordingFiles(entry, { managedOnly = false } = {}) {
+    for (const file of entry.files) {
+      const rel = relative(this.preferences.sessionsDir, file);
+      // Retention never touches recordings written to a path the user chose
+      if (managedOnly && (rel.startsWith("..") || isAbsolute(rel))) continue;
+      await rm(file, { force: true });
+    }
+  }
+
+  async listSessions({ json } = {}) {
+    await this.preferences.initialize();
+    const sessions = await this.preferences.getSessions();
+
+    if (json) {
+      console.log(JSON.stringify(sessions, null, 2));
+      return;
+    }
+    if (sessions.length === 0) {
+      console.log(chalk.yellow("No recorded sessions"));
+      return;
+    }
+
+    for (const session of sessions) {
+      const duration = session.endTime
+        ? formatDuration(
+            new Date(session.endTime) - new Date(session.startTime)
+          )
+        : "unfinished";
+      const size = formatSize(await recordingSize(session.files));
+      console.log(
+        `${session.id}\t${session.packageName}\t${session.deviceId || "-"}\t${
+          session.logLevel
+        }\t${duration}\t${size}`
+      );
+    }
+  }
+
+  async findSession(id) {
+    await this.preferences.initialize();
+    const session = (await this.preferences.getSessions()).find(
+      (entry) => entry.id === id
+    );
+    if (!session) throw new Error(`No recorded session with id: ${id}`);
+    return session;
+  }
+
+  async showSession(id, { mapping } = {}) {
+    const session = await this.findSession(id);
+    const retracer = mapping ? await Retracer.load(mapping) : null;
+
+    for (const file of session.files) {
+      if (!retracer) {
+        await readRecording(file, process.stdout);
+        continue;
+      }
+
+      const output = new PassThrough();
+      const reading = readRecording(file, output).then(() => output.end());
+      for await (const line of createInterface({ input: output })) {
+        process.stdout.write(`${retracer.retraceLine(line).join("\n")}\n`);
+      }
+      await reading;
+    }
+  }
+
+  async deleteSessions(ids, { all } = {}) {
+    await this.preferences.initialize();
+    const sessions = all
+      ? await this.preferences.getSessions()
+      : await Promise.all(ids.map((id) => this.findSession(id)));
+
+    for (const session of sessions) {
+      await this.deleteRecordingFiles(session);
+      await this.preferences.removeSession(session.id);
+      console.log(chalk.green(`✅ Deleted session ${session.id}`));
+    }
+  }
+
+  // Resuming after a disconnect starts from the last timestamp shown; logcat
+  // repeats the lines at that timestamp, so as many as were already shown
+  // are skipped. `start` is the --since or --last point of a new session.
+  spawnLogcat(session, app, since = null, start = null) {
+    // Only the events buffer was chosen
+    if (session.buffers && session.buffers.length === 0) return;
+    const adbArgs = this.deviceManager.adbArgs(
+      ["logcat", "-v", "time", ...bufferArgs(session.buffers || [])],
+      session.deviceId
+    );
+    if (app.pid) adbArgs.push(`--pid=${app.pid}`);
+    if (since) adbArgs.push("-T", since.timestamp);
+    else if (start) adbArgs.push("-T", start);
+
+    const seen = this.seenFilter(app, since);
+    const handler = this.createRecordHandler((record) => {
+      if (!seen(record)) this.handleRecord(session, record, app);
+    });
+    app.adb = this.spawnStream(
+      adbArgs,
+      handler,
+      () => this.stopLogcat(app),
+      () => this.handleStreamExit(session)
+    );
+  }
+
+  // Returns a check that's true for the records at `since` that were
+  // already seen, and keeps `holder.lastSeen` up to date for the next resume
+  seenFilter(holder, since) {
+    let skip = since ? since.count : 0;
+    return (record) => {
+      if (skip > 0 && record.timestamp === since.timestamp) {
+        skip -= 1;
+        return true;
+      }
+      skip = 0;
+      if (record.timestamp) {
+        holder.lastSeen =
+          holder.lastSeen?.timestamp === record.timestamp
+            ? { timestamp: record.timestamp, count: holder.lastSeen.count + 1 }
+            : { timestamp: record.timestamp, count: 1 };
+      }
+      return false;
+    };
+  }
+
+  // Crash reports from other processes (tombstones, ANRs) never pass the
+  // --pid filter, so a second logcat follows just the crash tags
+  async spawnCrashWatcher(session, since = null, start = null) {
+    const from =
+      since?.timestamp ||
+      start ||
+      (await this.deviceManager.getDeviceTime(session.deviceId));
+    const adbArgs = this.deviceManager.adbArgs(
+      [
+        "logcat",
+        "-v",
+        "time",
+        ...["-b", "main", "-b", "system", "-b", "crash"],
+        "-T",
+        from || "1",
+        ...CRASH_TAGS.map((tag) => `${tag}:V`),
+        "*:S",
+      ],
+      session.deviceId
+    );
+
+    const seen = this.seenFilter(session.crashSeen, since);
+    const handler = this.createRecordHandler((record) => {
+      if (seen(record)) return;
+      session.crashDetector.push(this.transformRecord(session, record));
+    });
+    session.crashWatcher = this.spawnStream(
+      adbArgs,
+      handler,
+      () => {
+        this.stopStream(session.crashWatcher);
+        session.crashWatcher = null;
+      },
+      () => this.handleStreamExit(session)
+    );
+  }
+
+  // Events are mostly written by system_server about the app (am_proc_start,
+  // am_crash, am_anr...), so they're matched by the package name or PID
+  // rather than logcat's --pid filter
+  async spawnEventsWatcher(session, since = null, start = null) {
+    const from =
+      since?.timestamp ||
+      start ||
+      (await this.deviceManager.getDeviceTime(session.deviceId));
+    const adbArgs = this.deviceManager.adbArgs(
+      ["logcat", "-v", "time", "-b", "events", "-T", from || "1"],
+      session.deviceId
+    );
+
+    const seen = this.seenFilter(session.eventsSeen, since);
+    const handler = this.createRecordHandler((record) => {
+      if (seen(record)) return;
+      const app = session.apps.find(
+        (entry) =>
+          (entry.pid && record.pid === entry.pid) ||
+          record.lines.some((line) => entry.mention.test(line))
+      );
+      if (app) this.handleRecord(session, record, app);
+    });
+    session.eventsWatcher = this.spawnStream(
+      adbArgs,
+      handler,
+      () => {
+        this.stopStream(session.eventsWatcher);
+        session.eventsWatcher = null;
+      },
+      () => this.handleStreamExit(session)
+    );
+  }
+
+  // Logcat mostly ends by itself when the device or the adb server goes away,
+  // so the session waits for the same serial and picks up where it stopped.
+  // It can also end on a healthy device (a rejected buffer or -T, an adb
+  // hiccup), which is restarted with the same backoff and limit.
+  async handleStreamExit(session) {
+    if (session.lost || this.stopping) return;
+    session.lost = true;
+    const { deviceId, retry } = session;
+
+    for (const tracker of this.trackers) {
+      tracker.stop();
+    }
+    this.trackers.clear();
+    for (const app of session.apps) {
+      this.stopLogcat(app);
+    }
+    if (session.shared) this.stopLogcat(session.shared);
+    this.stopStream(session.crashWatcher);
+    session.crashWatcher = null;
+    this.stopStream(session.eventsWatcher);
+    session.eventsWatcher = null;
+
+    const giveUp = async (reason) => {
+      this.print(chalk.red(`❌ ${reason}, stopping`));
+      await this.cleanup();
+      process.exit(1);
     };
 
+    const deviceInfo = await this.deviceManager.checkDevices();
+    if (this.stopping) return;
+    const attached = deviceInfo.devices.some(
+      (device) => device.id === deviceId
+    );
+    if (attached) {
+      this.print(
+        chalk.red.bold(`\n⚠️  logcat stopped while ${deviceId} is connected\n`)
+      );
+      if (session.web) session.web.sendNotice("logcat stopped unexpectedly");
+    } else {
+      this.print(chalk.red.bold(`\n📵 Lost connection to ${deviceId}\n`));
+      if (session.web) {
+        session.web.sendNotice(`Lost connection to ${deviceId}`);
+      }
+    }
+    if (!retry.enabled) return giveUp("Reconnecting is turned off");
+    if (session.reconnects >= retry.maxReconnects) {
+      return giveUp(`Reached the limit of ${retry.maxReconnects} reconnects`);
+    }
+
+    if (!attached) {
+      this.print(
+        chalk.yellow(
+          `⏳ Waiting up to ${formatDuration(
+            retry.timeoutMs
+          )} for ${deviceId} to come back...`
+        )
+      );
+      this.reconnectController = new AbortController();
+      const back = await this.deviceManager.waitForDevice(deviceId, {
+        timeoutMs: retry.timeoutMs,
+        signal: this.reconnectController.signal,
+      });
+      this.reconnectController = null;
+      if (this.stopping) return;
+      if (!back) {
+        return giveUp(
+          `${deviceId} didn't come back within ${formatDuration(
+            retry.timeoutMs
+          )}`
+        );
+      }
+    }
+
+    session.quickExits =
+      Date.now() - session.resumedAt < STABLE_STREAM_MS
+        ? session.quickExits + 1
+        : 0;
+    const delay = Math.min(
+      MAX_RESUME_DELAY,
+      1000 * 2 ** Math.max(0, session.quickExits - 1)
+    );
+    this.print(
+      chalk.yellow(
+        attached
+          ? `🔁 Restarting logcat in ${formatDuration(delay)}...`
+          : `🔌 ${deviceId} is back, resuming in ${formatDuration(delay)}...`
+      )
+    );
+    if (!attached && session.web) session.web.sendNotice(`${deviceId} is back`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    if (this.stopping) return;
+
+    session.reconnects += 1;
+    session.lost = false;
+    session.resumedAt = Date.now();
+    await this.resumeSession(session);
+  }
+
+  async resumeSession(session) {
+    const { follow } = session;
+    for (const app of session.apps) {
+      app.pid = await this.deviceManager.getPackagePid(
+        app.packageName,
+        session.deviceId
+      );
+    }
+
+    // A watcher that hadn't seen a line yet starts from the earliest line
+    // an app logcat had
+    const earliest = [...session.apps, session.shared]
+      .map((app) => app?.lastSeen?.timestamp)
+      .filter(Boolean)
+      .sort()
+      .shift();
+    const fallback = earliest ? { timestamp: earliest, count: 0 } : null;
+    if (follow || session.apps.some((app) => app.pid)) {
+      await this.spawnCrashWatcher(
+        session,
+        session.crashSeen.lastSeen || fallback
+      );
+    }
+    if (session.eventLog) {
+      await this.spawnEventsWatcher(
+        session,
+        session.eventsSeen.lastSeen || fallback
+      );
+    }
+    this.spawnAppLogcats(session, { resume: true });
+    if (follow) {
+      for (const app of session.apps) {
+        this.trackApp(session, app);
+      }
+    }
+  }
+
+  // A running app gets a logcat filtered to its PID. Without --follow, the
+  // apps that aren't running share one unfiltered logcat whose records go
+  // to the app they mention, like --input, rather than one copy each.
+  spawnAppLogcats(session, { start = null, resume = false } = {}) {
+    for (const app of session.apps) {
+      if (!app.pid) continue;
+      this.spawnLogcat(session, app, resume ? app.lastSeen : null, start);
+    }
+
+    const unattached = session.follow
+      ? []
+      : session.apps.filter((app) => !app.pid);
+    for (const app of unattached) {
+      app.pids = app.pids || new Set();
+    }
+    const lastSeen = resume ? session.shared?.lastSeen : null;
+    session.shared =
+      unattached.length > 0
+        ? { apps: unattached, pid: null, adb: null, lastSeen }
+        : null;
+    if (session.shared) {
+      this.spawnLogcat(session, session.shared, lastSeen, start);
+    }
+  }
+
+  spawnStream(adbArgs, handler, onProcessError, onExit = () => {}) {
+    let adb;
+    try {
+      // Logcat runs for the whole session, so never buffer its output
+      adb = execa("adb", adbArgs, { buffer: false, reject: false });
+      this.activeProcesses.add(adb);
+    } catch (error) {
+      console.error(chalk.red("Failed to start ADB logcat:"), error.message);
+      return null;
+    }
+
     const errorHandler = (err) => {
       console.error(chalk.red("ADB error:"), err.toString());
     };
 
     const processErrorHandler = (error) => {
       console.error(chalk.red("ADB process error:"), error.message);
-      cleanup();
-    };
-
-    const sigintHandler = () => {
-      console.log(chalk.yellow("\n\n🛑 Stopping log monitoring..."));
-      cleanup();
-      process.exit(0);
+      onProcessError();
     };
 
     // Store event listeners for proper cleanup
     this.eventListeners.set(adb, {
-      data: dataHandler,
+      flush: handler.flush,
+      data: handler.push,
       error: errorHandler,
       processError: processErrorHandler,
-      sigint: sigintHandler,
+      exit: onExit,
     });
 
-    adb.stdout.on("data", dataHandler);
+    adb.stdout.on("data", handler.push);
     adb.stderr.on("data", errorHandler);
     adb.on("error", processErrorHandler);
+    adb.on("exit", onExit);
 
-    // Remove any existing SIGINT handlers to prevent memory leaks
-    process.removeAllListeners("SIGINT");
-    process.on("SIGINT", sigintHandler);
+    return adb;
+  }
+
+  createRecordHandler(handleRecord) {
+    const parser = new LogcatParser();
+    let flushTimer = null;
+
+    const flush = () => {
+      clearTimeout(flushTimer);
+      parser.flush().forEach(handleRecord);
+    };
+
+    const push = (chunk) => {
+      parser.push(chunk).forEach(handleRecord);
+
+      // Emit the last record once the input goes quiet instead of holding it
+      // until the next line arrives
+      clearTimeout(flushTimer);
+      if (parser.hasPending()) flushTimer = setTimeout(flush, 100);
+    };
+
+    return { push, flush };
+  }
+
+  // Records from a per-app logcat come with their app; records read from a
+  // file or the shared logcat are matched against every app they could be
+  handleRecord(session, original, app = null) {
+    const { logLevel, filter, crashDetector } = session;
+    // Symbolicate and retrace first so crash grouping and message filters
+    // see the readable names
+    const record = this.transformRecord(session, original);
+
+    if (crashDetector) {
+      // With a crash watcher running, Java crashes arrive there as one block
+      if (session.crashWatcher) {
+        if (record.tag === "AndroidRuntime" && record.level === "E") return;
+      } else if (crashDetector.push(record)) {
+        return;
+      }
+    }
+
+    if (!app || app.apps) this.learnPids(session, record);
+    const candidates = app ? app.apps || [app] : session.apps;
+    const target = candidates.find((entry) =>
+      this.matchesPackage(entry, record)
+    );
+    if (candidates.length > 0 && !target) return;
+    if (session.stats) session.stats.add(record);
+    if (session.alerts) {
+      session.alerts.push(record, { packageName: target?.packageName });
+    }
+    if (session.guard) {
+      session.guard.push(record, target?.packageName);
+      return;
+    }
+
+    const level = filter.levelFor(record.tag, target?.logLevel || logLevel);
+    if (!this.matchesLogLevel(record, level) || !filter.matches(record)) {
+      if (session.counts) session.counts.hidden += 1;
+      return;
+    }
+
+    if (session.counts) session.counts.shown += 1;
+    const matches = this.colorizeLog(record, {
+      prefix: target?.prefix,
+      search: session.search,
+    });
+    if (session.counts) session.counts.matches += matches;
+    if (session.web) {
+      session.web.sendRecord(record, { app: target?.packageName || null });
+    }
+    if (session.recorder) session.recorder.write(record);
+  }
+
+  async loadSymbolication(session, options) {
+    const { projectPath, variant, quiet = false } = options;
+    session.projectPath = projectPath || null;
+    session.sourceMap = null;
+    session.retracer = null;
+
+    const log = (message) => {
+      if (!quiet) console.log(chalk.gray(message));
+    };
+
+    const mapPath =
+      options.sourceMap ||
+      (projectPath ? await findSourceMap(projectPath) : null);
+    if (mapPath) {
+      try {
+        session.sourceMap = await SourceMap.load(mapPath);
+        log(`Symbolicating JS stacks with ${mapPath}`);
+      } catch (error) {
+        // An explicit --source-map must work; a discovered one is best effort
+        if (options.sourceMap) {
+          throw new Error(
+            `Cannot load source map ${mapPath}: ${error.message}`
+          );
+        }
+      }
+    }
+
+    const mappingPath =
+      options.mapping ||
+      (projectPath ? await findMappingFile(projectPath, variant) : null);
+    if (mappingPath) {
+      try {
+        session.retracer = await Retracer.load(mappingPath);
+        log(`Retracing Java/Kotlin stacks with ${mappingPath}`);
+      } catch (error) {
+        if (options.mapping) {
+          throw new Error(
+            `Cannot load mapping file ${mappingPath}: ${error.message}`
+          );
+        }
+      }
+    }
+  }
+
+  transformRecord(session, record) {
+    let output = session.eventLog ? session.eventLog.decode(record) : record;
+
+    if (session.sourceMap && hasBundleFrames(record.lines.join("\n"))) {
+      const symbolicate = (text) =>
+        symbolicateText(text, session.sourceMap, session.projectPath);
+      output = {
+        ...output,
+        message: symbolicate(output.message),
+        lines: output.lines.map(symbolicate),
+      };
+    }
+
+    if (session.retracer) {
+      output = {
+        ...output,
+        message: session.retracer.retraceText(output.message),
+        lines: output.lines.flatMap((line) =>
+          session.retracer.retraceLine(line)
+        ),
+      };
+    }
+
+    return output;
+  }
+
+  createCrashDetector(session) {
+    const detector = new CrashDetector(
+      session.apps.map((app) => app.packageName)
+    );
+    detector.on("crash", (crash) => {
+      this.printCrash(crash);
+      if (session.recorder) {
+        crash.records.forEach((record) => session.recorder.write(record));
+      }
+      if (session.web) session.web.sendCrash(crash);
+    });
+    this.crashDetectors.add(detector);
+    return detector;
+  }
+
+  printCrash(crash) {
+    const labels = { java: "JAVA CRASH", native: "NATIVE CRASH", anr: "ANR" };
+    const rule = chalk.red("━".repeat(60));
+
+    this.print(
+      [
+        `\n${rule}`,
+        `${chalk.bgRed.white.bold(
+          ` 💥 ${labels[crash.type]} `
+        )} ${chalk.red.bold(crash.title)}`,
+        chalk.gray(
+          `${crash.packageName || "unknown package"} · PID ${crash.pid} · ${
+            crash.timestamp || "no timestamp"
+          }`
+        ),
+        rule,
+        chalk.red(crash.lines.join("\n")),
+        `${rule}\n`,
+      ].join("\n")
+    );
+  }
+
+  printCrashSummaries() {
+    for (const detector of this.crashDetectors) {
+      detector.flush();
+      const groups = detector.summary();
+      if (groups.length === 0) continue;
+
+      console.log(chalk.red.bold("\n💥 Crash summary"));
+      groups.forEach((group) => {
+        const when =
+          group.count > 1
+            ? `first ${group.firstTimestamp}, last ${group.lastTimestamp}`
+            : `at ${group.firstTimestamp}`;
+        console.log(
+          `  ${chalk.red.bold(`${group.count}×`)} ${chalk.yellow(
+            group.type.toUpperCase()
+          )} ${group.title}`
+        );
+        console.log(chalk.gray(`     ${when}`));
+      });
+    }
+    this.crashDetectors.clear();
+  }
+
+  async finishGuard() {
+    if (!this.guardRun) return;
+    const { guard, report, format, info } = this.guardRun;
+    this.guardRun = null;
+
+    const result = guard.result(info);
+    if (result.passed) {
+      console.log(
+        chalk.green.bold(
+          `\n✅ Passed: no forbidden lines or crashes in ${result.checkedLines} lines`
+        )
+      );
+    } else {
+      process.exitCode = 1;
+      console.log(
+        chalk.red.bold(
+          `\n❌ Failed: ${result.violations.length} violation(s) in ${result.checkedLines} lines`
+        )
+      );
+      const counts = {};
+      result.violations.forEach((violation) => {
+        counts[violation.rule] = (counts[violation.rule] || 0) + 1;
+      });
+      Object.entries(counts).forEach(([rule, count]) =>
+        console.log(`  ${chalk.red(`${count}×`)} ${rule}`)
+      );
+      if (result.checkedLines === 0) {
+        console.log(
+          chalk.yellow(
+            "  No lines were checked: is the app running and logging?"
+          )
+        );
+      }
+    }
+
+    if (!report) return;
+    try {
+      await writeFile(
+        report,
+        format === "json"
+          ? `${JSON.stringify(result, null, 2)}\n`
+          : toJUnit(result)
+      );
+      console.log(chalk.gray(`Report written to ${report}`));
+    } catch (error) {
+      process.exitCode = 1;
+      console.error(chalk.red(`Cannot write ${report}: ${error.message}`));
+    }
+  }
+
+  printStats(session) {
+    const { stats } = session;
+    const top = stats
+      .topTags(3)
+      .map(({ tag, count }) => `${tag} ${count}`)
+      .join(", ");
+    this.print(
+      chalk.blue(
+        [
+          `📊 ${stats.linesPerSecond().toFixed(1)} lines/s`,
+          `${stats.errorsPerMinute()} errors/min`,
+          `${stats.total} lines`,
+          top ? `top ${top}` : null,
+        ]
+          .filter(Boolean)
+          .join(" · ")
+      )
+    );
+  }
+
+  async finishStats() {
+    if (!this.sessionStats) return;
+    const { stats, summary, summaryJson, timer } = this.sessionStats;
+    this.sessionStats = null;
+    clearInterval(timer);
+
+    const result = stats.summary();
+    if (summary) this.printStatsSummary(result);
+    if (!summaryJson) return;
+
+    const json = JSON.stringify(result, null, 2);
+    if (summaryJson === "-") {
+      console.log(json);
+      return;
+    }
+    try {
+      await writeFile(summaryJson, `${json}\n`);
+      console.log(chalk.gray(`Summary written to ${summaryJson}`));
+    } catch (error) {
+      console.error(chalk.red(`Cannot write ${summaryJson}: ${error.message}`));
+    }
+  }
+
+  printStatsSummary(summary) {
+    const row = (label, value) =>
+      console.log(`  ${chalk.bold(label.padEnd(12))} ${value}`);
+    const describeError = (error) =>
+      error
+        ? `${chalk.gray(error.timestamp || "")} ${chalk.red(error.tag || "")} ${
+            error.message
+          }`.trim()
+        : chalk.gray("-");
+
+    console.log(
+      chalk.blue.bold(
+        `\n📊 Session summary (${formatDuration(summary.durationMs)})`
+      )
+    );
+    row(
+      "Lines",
+      `${summary.total} (${summary.linesPerSecond}/s average, peak ${summary.peakLinesPerSecond}/s)`
+    );
+    row(
+      "Levels",
+      LOG_LEVEL_ORDER.map(
+        (level) => `${level} ${summary.levels[level] || 0}`
+      ).join(" · ")
+    );
+    row("Errors", chalk.red(summary.errors));
+    row("Warnings", chalk.yellow(summary.warnings));
+    row("First error", describeError(summary.firstError));
+    row("Last error", describeError(summary.lastError));
+    if (summary.pids.length > 1) {
+      row(
+        "PIDs",
+        summary.pids.map(({ pid, lines }) => `${pid} (${lines})`).join(", ")
+      );
+    }
+
+    if (summary.tags.length === 0) return;
+    console.log(chalk.bold("  Top tags"));
+    const width = Math.max(...summary.tags.map(({ tag }) => tag.length));
+    summary.tags.forEach(({ tag, count, errors, warnings }) => {
+      const share = ((count / summary.total) * 100).toFixed(1);
+      const levels = [
+        errors ? chalk.red(`${errors} E`) : null,
+        warnings ? chalk.yellow(`${warnings} W`) : null,
+      ].filter(Boolean);
+      console.log(
+        `    ${tag.padEnd(width)}  ${String(count).padStart(
+          6
+        )}  ${`${share}%`.padStart(6)}  ${levels.join(" ")}`.trimEnd()
+      );
+    });
+  }
+
+  matchesPackage(app, record) {
+    // Live sessions attached to a PID are already filtered by logcat
+    if (app.pid) return true;
+    if (app.pids && record.pid && app.pids.has(record.pid)) return true;
+    return record.lines.some((line) => app.mention.test(line));
+  }
+
+  // PIDs are learned from ActivityManager "Start proc" lines in the input
+  learnPids(session, record) {
+    const started = /Start proc (\d+):([\w.]+)/.exec(record.message);
+    if (!started) return;
+    const app = session.apps.find((entry) => entry.packageName === started[2]);
+    if (app && app.pids) app.pids.add(started[1]);
+  }
+
+  // `input` is a file, "-" for stdin, or a stream such as a logcat dump;
+  // `pids` seeds the PIDs already known for each package
+  async readLogs(input, apps, logLevel, options = {}) {
+    const {
+      filter = new LogFilter(),
+      record = null,
+      pids = {},
+      eventLog = new EventLogDecoder(),
+    } = options;
+    const session = {
+      apps: sessionApps(apps).map((app) => ({
+        ...app,
+        pids: new Set(pids[app.packageName] ? [pids[app.packageName]] : []),
+      })),
+      logLevel,
+      deviceId: null,
+      filter,
+      recorder: null,
+      crashWatcher: null,
+      eventLog,
+    };
+    session.crashDetector = this.createCrashDetector(session);
+
+    if (record) await this.startRecording(session, record);
+    await this.loadSymbolication(session, { ...options, quiet: true });
+
+    const stream =
+      typeof input !== "string"
+        ? input
+        : input === "-"
+        ? process.stdin
+        : createReadStream(input);
+    const handler = this.createRecordHandler((record) =>
+      this.handleRecord(session, record)
+    );
+    try {
+      for await (const chunk of stream) {
+        handler.push(chunk);
+      }
+      handler.flush();
+    } catch (error) {
+      throw new Error(
+        `Cannot read ${typeof input === "string" ? input : "logcat"}: ${
+          error.message
+        }`
+      );
+    } finally {
+      this.printCrashSummaries();
+      await this.stopRecordings();
+    }
+  }
+
+  // Prints what the buffers hold and exits, like `adb logcat -d`. The app
+  // may have died since, so lines are matched like a file's: by package
+  // name, the current PID and PIDs learned from "Start proc" lines.
+  async dumpLogs(apps, logLevel, deviceId, options = {}) {
+    const { start = null } = options;
+    const buffers =
+      options.buffers && options.buffers.length > 0
+        ? [...new Set(options.buffers)]
+        : null;
+    const packageNames = apps.map((app) => app.packageName);
+
+    const pids = {};
+    for (const packageName of packageNames) {
+      pids[packageName] = await this.deviceManager.getPackagePid(
+        packageName,
+        deviceId
+      );
+    }
+    const eventLog = new EventLogDecoder(
+      buffers?.includes("events")
+        ? await this.deviceManager.getEventLogTags(deviceId)
+        : ""
+    );
+
+    console.log(chalk.blue(`\n📜 Dumping logs for ${packageNames.join(", ")}`));
+    console.log(
+      chalk.gray(
+        `Buffers: ${buffers ? buffers.join(", ") : "main, system, crash"}`
+      )
+    );
+    if (start) console.log(chalk.gray(`Starting from ${describeStart(start)}`));
+    console.log();
+
+    // -t prints from a time or the last N lines and exits, like -d
+    const adb = execa(
+      "adb",
+      this.deviceManager.adbArgs(
+        [
+          "logcat",
+          "-v",
+          "time",
+          ...bufferArgs(buffers || []),
+          ...(start ? ["-t", start] : ["-d"]),
+        ],
+        deviceId
+      ),
+      { buffer: false, reject: false, stderr: "inherit" }
+    );
+    this.activeProcesses.add(adb);
+    // readLogs sets up before reading, and execa drains unread output
+    const output = adb.stdout.pipe(new PassThrough());
+    try {
+      await this.readLogs(output, apps, logLevel, {
+        ...options,
+        pids,
+        eventLog,
+      });
+      const { exitCode } = await adb;
+      if (exitCode !== 0) {
+        throw new Error(`adb logcat exited with code ${exitCode}`);
+      }
+    } finally {
+      this.activeProcesses.delete(adb);
+    }
+  }
+
+  stopLogcat(app) {
+    this.stopStream(app.adb);
+    app.adb = null;
+  }
+
+  stopStream(adb) {
+    if (!adb) return;
+
+    const listeners = this.eventListeners.get(adb);
+    if (listeners) {
+      listeners.flush();
+      adb.stdout.off("data", listeners.data);
+      adb.stderr.off("data", listeners.error);
+      adb.off("error", listeners.processError);
+      adb.off("exit", listeners.exit);
+      this.eventListeners.delete(adb);
+    }
+    if (!adb.killed) adb.kill();
+    this.activeProcesses.delete(adb);
+  }
+
+  async cleanup() {
+    this.stopping = true;
+    if (this.scanController) this.scanController.abort();
+    if (this.reconnectController) this.reconnectController.abort();
+    if (this.controls) {
+      this.controls.stop();
+      this.controls = null;
+    }
+
+    for (const tracker of this.trackers) {
+      tracker.stop();
+    }
+    this.trackers.clear();
+
+    for (const adb of this.activeProcesses) {
+      if (!adb.killed) adb.kill();
+    }
+    this.activeProcesses.clear();
+    this.removeAllEventListeners();
+    if (this.alerts) {
+      this.alerts.dispose();
+      this.alerts = null;
+    }
+    await this.finishStats();
+    this.printCrashSummaries();
+    await this.finishGuard();
+    await this.stopRecordings();
+    if (this.webServer) {
+      await this.webServer.stop();
+      this.webServer = null;
+    }
   }
 
   removeAllEventListeners() {
     for (const [process, listeners] of this.eventListeners) {
+      listeners.flush();
       if (process && !process.killed) {
         process.stdout.removeAllListeners("data");
         process.stderr.removeAllListeners("data");
         process.removeAllListeners("error");
+        process.removeAllListeners("exit");
       }
     }
     this.eventListeners.clear();
     process.removeAllListeners("SIGINT");
+    process.removeAllListeners("SIGTERM");
   }
 
-  matchesLogLevel(line, level) {
-    const allowedLevels = this.logLevels[level] || this.logLevels["I"];
-    return allowedLevels.some((l) => line.includes(` ${l}`));
+  matchesLogLevel(record, level) {
+    const minimum =
+      levelIndex(level) === -1 ? levelIndex("I") : levelIndex(level);
+    // Lines logcat itself couldn't attribute to a level only show at Verbose
+    if (!record.level) return minimum === 0;
+    return levelIndex(record.level) >= minimum;
   }
 
-  colorizeLog(line) {
+  // Returns how many search matches were highlighted
+  colorizeLog(record, { prefix = null, search = null } = {}) {
     const colors = {
-      " F/": chalk.magenta,
-      " E/": chalk.red,
-      " W/": chalk.yellow,
-      " I/": chalk.cyan,
-      " D/": chalk.green,
-      " V/": chalk.gray,
+      F: chalk.magenta,
+      E: chalk.red,
+      W: chalk.yellow,
+      I: chalk.cyan,
+      D: chalk.green,
+      V: chalk.gray,
     };
 
-    for (const [level, colorFn] of Object.entries(colors)) {
-      if (line.includes(level)) {
-        console.log(colorFn(line));
-        return;
-      }
+    const colorFn = colors[record.level] || ((text) => text);
+    let output =
+      record.tag === JS_TAG
+        ? formatJsRecord(record, colorFn)
+        : colorFn(record.lines.join("\n"));
+
+    let matches = 0;
+    if (search) {
+      ({ output, count: matches } = highlightMatches(output, search));
     }
-    console.log(line);
+
+    this.print(
+      prefix
+        ? output
+            .split("\n")
+            .map((line) => `${prefix}${line}`)
+            .join("\n")
+        : output
+    );
+    return matches;
   }
 }
 
 const logger = new AdbLogger();
-logger.run().catch((error) => {
+const program = new Command();
+
+program
+  .name("adb-logger")
+  .description("Monitor Android logs from React Native projects")
+  .version("1.0.0")
+  .option("--rescan", "ignore the project cache and scan again")
+  .action((options) => logger.run(options));
+
+// Shared by `watch` and `config show`, which explains how they resolve
+function addWatchOptions(command) {
+  return command
+    .option(
+      "-p, --package <name[=level]>",
+      "package to monitor, with an optional minimum level (repeatable)",
+      (value, previous) => collect(parseWith(parseAppSpec)(value), previous),
+      []
+    )
+    .addOption(
+      new Option("-l, --level <level>", "minimum log level").choices(
+        LOG_LEVEL_ORDER
+      )
+    )
+    .option("-d, --device <serial>", "device serial to read logs from")
+    .option(
+      "-i, --input <file>",
+      'read logcat output from a file ("-" for stdin)'
+    )
+    .option("--no-follow", "stop following the app when its process restarts")
+    .option(
+      "-b, --buffer <names>",
+      "logcat buffers: main, system, crash, events, radio or all (repeatable)",
+      (value, previous) => [...previous, ...parseWith(parseBuffers)(value)],
+      []
+    )
+    .option("--dump", "print what the buffers hold and exit")
+    .option(
+      "--since <time>",
+      'start from a time, e.g. "10-19 14:30", or from how long ago, e.g. 10m',
+      parseWith(parseLogcatTime)
+    )
+    .option(
+      "--last <count>",
+      "start from the last N lines",
+      parseWith(parseLineCount)
+    )
+    .option("--clear-logcat", "clear the device's logcat buffer first")
+    .option("--launch", "launch the app once logging has started")
+    .option("--restart", "force-stop the app first, then launch it")
+    .option("--clear-data", "clear the app's data first, then launch it")
+    .option(
+      "--alert <rule>",
+      'act on matching lines, e.g. "level=E;tag=OkHttp*;notify" (repeatable)',
+      (value, previous) => collect(parseWith(parseAlertRule)(value), previous),
+      []
+    )
+    .option("--no-reconnect", "stop when the device disconnects")
+    .option(
+      "--stats [interval]",
+      "print log rates and top tags periodically (default every 30s)",
+      parseWith(parseDuration)
+    )
+    .option("--no-summary", "don't print the summary when the session ends")
+    .option(
+      "--summary-json <file>",
+      'write the end-of-session summary as JSON ("-" for stdout)'
+    )
+    .option(
+      "--reconnect-timeout <duration>",
+      "how long to wait for a disconnected device, e.g. 30s",
+      parseWith(parseDuration)
+    )
+    .option(
+      "--max-reconnects <count>",
+      `stop after reconnecting this many times (default ${DEFAULT_MAX_RECONNECTS})`,
+      parseWith(parseCount)
+    )
+    .option("--project <dir>", "project folder, used to find source maps")
+    .option("--source-map <file>", "source map to symbolicate JS stacks with")
+    .option(
+      "--mapping <file>",
+      "R8/ProGuard mapping.txt to retrace stacks with"
+    )
+    .option(
+      "-t, --tag <pattern>",
+      "only show tags matching (repeatable, * wildcards)",
+      collect,
+      []
+    )
+    .option(
+      "-x, --exclude-tag <pattern>",
+      "hide tags matching (repeatable)",
+      collect,
+      []
+    )
+    .option(
+      "-g, --grep <regex>",
+      "only show messages matching (repeatable)",
+      collect,
+      []
+    )
+    .option(
+      "--grep-exclude <regex>",
+      "hide messages matching (repeatable)",
+      collect,
+      []
+    )
+    .option(
+      "--tag-levels <spec>",
+      'per-tag minimum levels, e.g. "ReactNativeJS:V *:W"'
+    )
+    .option("--preset <name>", "apply a saved filter preset")
+    .option("--save-preset <name>", "save the given filters as a preset")
+    .option("-r, --record [path]", "record the session to disk")
+    .option(
+      "--rotate-size <size>",
+      "start a new recording file after this size, e.g. 10mb",
+      parseWith(parseSize)
+    )
+    .option(
+      "--rotate-interval <duration>",
+      "start a new recording file after this long, e.g. 1h",
+      parseWith(parseDuration)
+    )
+    .option("--gzip", "compress rotated recording files")
+    .option("--append", "add to an existing recording file")
+    .option(
+      "--web [port]",
+      "serve a live web viewer (default port 7878)",
+      parseWith(parsePort)
+    )
+    .option(
+      "--web-host <host>",
+      "address for the web viewer; 0.0.0.0 shares it on the LAN",
+      "127.0.0.1"
+    )
+    .option("--config <file>", "project config file to use");
+}
+
+addWatchOptions(
+  program
+    .command("watch")
+    .description("Stream logs for a package without prompts")
+).action((options, command) => logger.watch(options, command));
+
+const config = program
+  .command("config")
+  .description("Show how settings resolve for the current project");
+
+addWatchOptions(
+  config
+    .command("show")
+    .description(
+      "Show effective settings and where each comes from (flags, project config, global preferences)"
+    )
+    .option("--json", "print as JSON")
+).action((options, command) => logger.showConfig(options, command));
+
+program
+  .command("assert")
+  .description(
+    "Fail when forbidden lines or crashes show up, e.g. alongside e2e tests"
+  )
+  .option(
+    "-p, --package <name>",
+    "package to check (repeatable)",
+    (value, previous) => collect(parseWith(parseAppSpec)(value), previous),
+    []
+  )
+  .option("-d, --device <serial>", "device serial to read logs from")
+  .option(
+    "--duration <duration>",
+    "stop after this long, e.g. 5m (default: until Ctrl+C or SIGTERM)",
+    parseWith(parseDuration)
+  )
+  .option(
+    "--fail-on <rule>",
+    "fail on LEVEL:Tag[:regex] lines, e.g. E:ReactNativeJS (repeatable)",
+    (value, previous) => collect(parseWith(parseLineRule)(value), previous),
+    []
+  )
+  .option(
+    "--allow <rule>",
+    "ignore LEVEL:Tag[:regex] lines that would fail (repeatable)",
+    (value, previous) => collect(parseWith(parseLineRule)(value), previous),
+    []
+  )
+  .option("--allow-crashes", "don't fail on crashes and ANRs")
+  .option(
+    "--context <lines>",
+    "lines to keep before and after each violation",
+    parseWith(parseCount),
+    10
+  )
+  .option("--fail-fast", "stop at the first violation")
+  .option("--report <file>", "write a report of the run")
+  .addOption(
+    new Option(
+      "--format <format>",
+      "report format (default from the file extension)"
+    ).choices(["junit", "json"])
+  )
+  .option("--no-follow", "stop following the app when its process restarts")
+  .option("--clear-logcat", "clear the device's logcat buffer first")
+  .option("--launch", "launch the app once checking has started")
+  .option("--restart", "force-stop the app first, then launch it")
+  .option("--clear-data", "clear the app's data first, then launch it")
+  .option("--no-reconnect", "fail when the device disconnects")
+  .option(
+    "--reconnect-timeout <duration>",
+    "how long to wait for a disconnected device, e.g. 30s",
+    parseWith(parseDuration)
+  )
+  .option("--project <dir>", "project folder to read the config from")
+  .option("--config <file>", "project config file to use")
+  .action((options, command) => logger.assert(options, command));
+
+const sessions = program
+  .command("sessions")
+  .description("List, print or delete recorded sessions");
+
+sessions
+  .command("list", { isDefault: true })
+  .description("List recorded sessions")
+  .option("--json", "print as JSON")
+  .action((options) => logger.listSessions(options));
+
+sessions
+  .command("show <id>")
+  .description("Print a recorded session")
+  .option("--mapping <file>", "retrace obfuscated stacks with this mapping.txt")
+  .action((id, options) => logger.showSession(id, options));
+
+sessions
+  .command("delete [ids...]")
+  .description("Delete recorded sessions")
+  .option("--all", "delete every recorded session")
+  .action((ids, options) => {
+    if (!options.all && ids.length === 0) {
+      throw new Error("Pass session ids to delete, or --all");
+    }
+    return logger.deleteSessions(ids, options);
+  });
+
+program
+  .command("presets")
+  .description("List saved filter presets")
+  .option("--json", "print as JSON")
+  .option("--delete <name>", "delete a saved preset")
+  .action((options) => logger.listPresets(options));
+
+const devices = program
+  .command("devices")
+  .description("List, pair and connect devices");
+
+devices
+  .command("list", { isDefault: true })
+  .description(
+    "List devices, including unauthorized, offline and remembered Wi-Fi ones"
+  )
+  .option("--json", "print as JSON")
+  .action((options) => logger.listDevices(options));
+
+devices
+  .command("pair <endpoint> [code]")
+  .description(
+    "Pair with a device over Wi-Fi (Wireless debugging → Pair device with pairing code)"
+  )
+  .option("--connect <endpoint>", "connect right after pairing")
+  .action((endpoint, code, options) =>
+    logger.pairDevice(endpoint, code, options)
+  );
+
+devices
+  .command("connect <endpoint>")
+  .description("Connect to a Wi-Fi device and remember it")
+  .action((endpoint) => logger.connectDevice(endpoint));
+
+devices
+  .command("disconnect <endpoint>")
+  .description("Disconnect a Wi-Fi device")
+  .option("--forget", "also stop reconnecting to it automatically")
+  .action((endpoint, options) => logger.disconnectDevice(endpoint, options));
+
+devices
+  .command("forget <endpoint>")
+  .description("Stop reconnecting to a remembered Wi-Fi device")
+  .action((endpoint) => logger.forgetDevice(endpoint));
+
+program
+  .command("projects")
+  .description("List discovered React Native projects")
+  .option("--json", "print as JSON")
+  .option("--rescan", "ignore the project cache and scan again")
+  .option(
+    "--max-depth <n>",
+    "maximum folder depth to scan",
+    parseWith(parseDepth)
+  )
+  .action((options) => logger.listProjects(options));
+
+const prefs = program
+  .command("prefs")
+  .description("Show, edit, export or import saved preferences");
+
+prefs
+  .command("show", { isDefault: true })
+  .description("Show saved preferences")
+  .option("--json", "print as JSON")
+  .action((options) => logger.showPreferences(options));
+
+prefs
+  .command("apps")
+  .description("List recent apps")
+  .option("--json", "print as JSON")
+  .option("--delete <package>", "remove an app from the recent list")
+  .action((options) => logger.manageRecentApps(options));
+
+prefs
+  .command("paths")
+  .description("List custom scan paths and check that they exist")
+  .option("--json", "print as JSON")
+  .option("--add <dir>", "add a scan path")
+  .option("--delete <dir>", "remove a scan path")
+  .option("--prune", "remove paths that no longer exist")
+  .action((options) => logger.manageScanPaths(options));
+
+prefs
+  .command("alerts")
+  .description("List, add or delete saved alert rules")
+  .option("--json", "print as JSON")
+  .option("--add <rule>", 'add a rule, e.g. "match=ANR;notify;stop=100"')
+  .option("--name <name>", "name for the added rule")
+  .option("--delete <name>", "delete a saved rule")
+  .action((options) => logger.manageAlertRules(options));
+
+prefs
+  .command("export [file]")
+  .description("Write portable preferences as JSON (stdout by default)")
+  .action((file) => logger.exportPreferences(file));
+
+prefs
+  .command("import <file>")
+  .description("Load preferences from an exported JSON file")
+  .option(
+    "--merge",
+    "combine with the current preferences instead of replacing"
+  )
+  .action((file, options) => logger.importPreferences(file, options));
+
+prefs
+  .command("reset")
+  .description("Delete all saved preferences")
+  .option("-y, --yes", "skip the confirmation prompt")
+  .action((options) => logger.resetPreferences(options));
+
+program.parseAsync().catch((error) => {
   console.error(chalk.red("Fatal error:"), error.message);
   process.exit(1);
 });
@@ -0,0 +1,314 @@
+import { EventEmitter } from "events";
+import { execa } from "execa";
+import { LOG_LEVEL_ORDER } from "./logcat-parser.js";
+import { globToRegExp } from "./filters.js";
+import { parseDuration } from "./units.js";
+
+const DEFAULT_DEBOUNCE = 10000;
+const DEFAULT_CONTEXT = 50;
+// How long a stopping rule waits for the lines after the match
+const CONTEXT_WAIT = 2000;
+
+const CONDITIONS = ["level", "tag", "match"];
+const ACTIONS = ["bell", "notify", "exec", "post", "stop"];
+
+// Rules are stored flat, e.g. { level: "E", tag: "OkHttp*", notify: true }
+export function normalizeAlertRule(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("an alert rule must be an object");
+  }
+  const unknown = Object.keys(raw).find(
+    (key) => !["name", "debounce", ...CONDITIONS, ...ACTIONS].includes(key)
+  );
+  if (unknown) throw new Error(`unknown alert setting "${unknown}"`);
+
+  const rule = {};
+  if (raw.name) rule.name = String(raw.name);
+  if (raw.level) {
+    rule.level = String(raw.level).toUpperCase();
+    if (!LOG_LEVEL_ORDER.includes(rule.level)) {
+      throw new Error(
+        `invalid alert level "${
+          raw.level
+        }" (expected one of ${LOG_LEVEL_ORDER.join(", ")})`
+      );
+    }
+  }
+  if (raw.tag) rule.tag = String(raw.tag);
+  if (raw.match) {
+    rule.match = String(raw.match);
+    try {
+      new RegExp(rule.match, "i");
+    } catch (error) {
+      throw new Error(
+        `invalid alert pattern "${rule.match}": ${error.message}`
+      );
+    }
+  }
+  if (!CONDITIONS.some((key) => rule[key])) {
+    throw new Error("an alert rule needs a level, tag or match");
+  }
+
+  if (raw.bell) rule.bell = true;
+  if (raw.notify) rule.notify = true;
+  if (raw.exec) rule.exec = String(raw.exec);
+  if (raw.post) {
+    if (!/^https?:\/\//.test(raw.post)) {
+      throw new Error(`alert post URL must start with http(s)://: ${raw.post}`);
+    }
+    rule.post = raw.post;
+  }
+  if (raw.stop) {
+    rule.stop = raw.stop === true ? DEFAULT_CONTEXT : Number(raw.stop);
+    if (!Number.isInteger(rule.stop) || rule.stop < 1) {
+      throw new Error(
+        `alert stop takes a number of context lines: ${raw.stop}`
+      );
+    }
+  }
+  // With no action given, ring the bell
+  if (!ACTIONS.some((key) => rule[key] !== undefined)) rule.bell = true;
+
+  rule.debounce =
+    raw.debounce === undefined
+      ? DEFAULT_DEBOUNCE
+      : typeof raw.debounce === "number"
+      ? raw.debounce
+      : parseDuration(raw.debounce);
+  return rule;
+}
+
+// Parses "level=E;tag=OkHttp*;match=timeout;notify;stop=100". `exec` takes
+// the rest of the spec, since shell commands often contain ";"
+export function parseAlertRule(spec) {
+  const raw = {};
+  let rest = spec.trim();
+  while (rest) {
+    if (rest.startsWith("exec=")) {
+      raw.exec = rest.slice("exec=".length).trim();
+      break;
+    }
+    const separator = rest.indexOf(";");
+    const part = separator === -1 ? rest : rest.slice(0, separator);
+    rest = separator === -1 ? "" : rest.slice(separator + 1).trim();
+
+    const equals = part.indexOf("=");
+    const key = (equals === -1 ? part : part.slice(0, equals)).trim();
+    if (!key) continue;
+    raw[key] = equals === -1 ? true : part.slice(equals + 1).trim();
+  }
+  return normalizeAlertRule(raw);
+}
+
+export function describeAlertRule(rule) {
+  const when = [
+    rule.level ? `${rule.level}+` : null,
+    rule.tag ? `tag ${rule.tag}` : null,
+    rule.match ? `/${rule.match}/` : null,
+  ].filter(Boolean);
+  const actions = [
+    rule.bell ? "bell" : null,
+    rule.notify ? "notify" : null,
+    rule.exec ? `exec ${rule.exec}` : null,
+    rule.post ? `post ${rule.post}` : null,
+    rule.stop !== undefined ? `stop (${rule.stop} lines of context)` : null,
+  ].filter(Boolean);
+  return `${when.join(" ")} → ${actions.join(", ")}`;
+}
+
+function notifyCommand(title, message) {
+  if (process.platform === "darwin") {
+    return [
+      "osascript",
+      [
+        "-e",
+        `display notification ${JSON.stringify(
+          message
+        )} with title ${JSON.stringify(title)}`,
+      ],
+    ];
+  }
+  if (process.platform === "win32") return null;
+  return ["notify-send", [title, message]];
+}
+
+export class AlertManager extends EventEmitter {
+  constructor(rules, { packageNames = [], deviceId = null } = {}) {
+    super();
+    this.rules = rules.map((rule, index) => ({
+      ...rule,
+      name: rule.name || `alert ${index + 1}`,
+      minimum: rule.level ? LOG_LEVEL_ORDER.indexOf(rule.level) : -1,
+      tagMatcher: rule.tag ? globToRegExp(rule.tag) : null,
+      pattern: rule.match ? new RegExp(rule.match, "i") : null,
+    }));
+    this.packageNames = packageNames;
+    this.deviceId = deviceId;
+    this.contextSize = Math.max(0, ...this.rules.map((rule) => rule.stop || 0));
+    this.context = [];
+    this.lastSeen = new Map();
+    this.stopping = null;
+  }
+
+  matches(rule, record) {
+    if (rule.minimum !== -1) {
+      if (LOG_LEVEL_ORDER.indexOf(record.level) < rule.minimum) return false;
+    }
+    if (rule.tagMatcher && !rule.tagMatcher.test(record.tag || "")) {
+      return false;
+    }
+    return (
+      !rule.pattern || record.lines.some((line) => rule.pattern.test(line))
+    );
+  }
+
+  // A burst of the same line only fires once: repeats keep the rule quiet
+  // until it has been silent for the debounce time. Numbers are ignored so
+  // changing IDs and timings still count as the same line.
+  debounced(rule, record, now) {
+    const key = `${rule.name}\n${record.tag}\n${(record.message || "").replace(
+      /\d+/g,
+      "#"
+    )}`;
+    const last = this.lastSeen.get(key);
+    this.lastSeen.set(key, now);
+    if (this.lastSeen.size > 1000) {
+      for (const [seenKey, time] of this.lastSeen) {
+        if (now - time > rule.debounce) this.lastSeen.delete(seenKey);
+      }
+    }
+    return last !== undefined && now - last < rule.debounce;
+  }
+
+  push(record, { packageName = null } = {}, now = Date.now()) {
+    if (this.contextSize > 0) {
+      this.context.push(...record.lines);
+      if (this.context.length > this.contextSize) {
+        this.context.splice(0, this.context.length - this.contextSize);
+      }
+    }
+    if (this.stopping) {
+      if (this.stopping.done) return;
+      this.stopping.after.push(...record.lines);
+      if (this.stopping.after.length >= this.stopping.rule.stop) this.stop();
+      return;
+    }
+
+    for (const rule of this.rules) {
+      if (!this.matches(rule, record) || this.debounced(rule, record, now)) {
+        continue;
+      }
+      this.fire(rule, record, packageName || this.packageNames[0] || null);
+      if (this.stopping) return;
+    }
+  }
+
+  fire(rule, record, packageName) {
+    this.emit("alert", { rule, record });
+    const line = record.lines[0] || record.message || "";
+
+    if (rule.bell) this.emit("bell");
+    if (rule.notify) this.notify(rule, record);
+    if (rule.exec) this.run(rule, record, packageName, line);
+    if (rule.post) this.post(rule, record, packageName);
+    if (rule.stop !== undefined) {
+      this.stopping = {
+        rule,
+        before: this.context.slice(-rule.stop),
+        after: [],
+        done: false,
+        timer: setTimeout(() => this.stop(), CONTEXT_WAIT),
+      };
+    }
+  }
+
+  stop() {
+    if (!this.stopping || this.stopping.done) return;
+    const { rule, before, after, timer } = this.stopping;
+    this.stopping.done = true;
+    clearTimeout(timer);
+    this.emit("stop", {
+      rule,
+      lines: [...before, ...after.slice(0, rule.stop)],
+    });
+  }
+
+  notify(rule, record) {
+    const title = `adb-logger: ${rule.name}`;
+    const message = `${record.tag || ""} ${record.message || ""}`
+      .trim()
+      .slice(0, 200);
+    const command = notifyCommand(title, message);
+    if (!command) {
+      this.emit("failed", "Desktop notifications aren't supported here");
+      return;
+    }
+    execa(command[0], command[1]).catch((error) =>
+      this.emit(
+        "failed",
+        error.code === "ENOENT"
+          ? `Notification failed: ${command[0]} isn't installed`
+          : `Notification failed: ${error.shortMessage}`
+      )
+    );
+  }
+
+  run(rule, record, packageName, line) {
+    execa(rule.exec, {
+      shell: true,
+      stdio: "ignore",
+      env: {
+        ADB_LOGGER_RULE: rule.name,
+        ADB_LOGGER_LINE: line,
+        ADB_LOGGER_MESSAGE: record.message || "",
+        ADB_LOGGER_LEVEL: record.level || "",
+        ADB_LOGGER_TAG: record.tag || "",
+        ADB_LOGGER_PID: record.pid || "",
+        ADB_LOGGER_TIMESTAMP: record.timestamp || "",
+        ADB_LOGGER_PACKAGE: packageName || "",
+        ADB_LOGGER_DEVICE: this.deviceId || "",
+      },
+    }).catch((error) =>
+      this.emit("failed", `Alert command failed: ${error.shortMessage}`)
+    );
+  }
+
+  post(rule, record, packageName) {
+    fetch(rule.post, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        rule: rule.name,
+        package: packageName,
+        device: this.deviceId,
+        record: {
+          timestamp: record.timestamp,
+          level: record.level,
+          tag: record.tag,
+          pid: record.pid,
+          message: record.message,
+        },
+      }),
+      signal: AbortSignal.timeout(5000),
+    })
+      .then((response) => {
+        if (!response.ok) {
+          this.emit(
+            "failed",
+            `Alert POST to ${rule.post} returned ${response.status}`
+          );
+        }
+      })
+      .catch((error) =>
+        this.emit(
+          "failed",
+          `Alert POST to ${rule.post} failed: ${error.message}`
+        )
+      );
+  }
+
+  dispose() {
+    if (this.stopping) clearTimeout(this.stopping.timer);
+    this.stopping = null;
+  }
+}
@@ -0,0 +1,176 @@
+import { EventEmitter } from "events";
+
+// Tags whose records can start or continue a crash report
+export const CRASH_TAGS = [
+  "AndroidRuntime",
+  "DEBUG",
+  "ActivityManager",
+  "libc",
+];
+
+const STARTERS = [
+  {
+    type: "java",
+    tag: "AndroidRuntime",
+    test: (record) => /^FATAL EXCEPTION:/.test(record.message),
+  },
+  {
+    type: "native",
+    tag: "DEBUG",
+    test: (record) => /^\*\*\* \*\*\* \*\*\*/.test(record.message),
+  },
+  {
+    type: "anr",
+    tag: "ActivityManager",
+    test: (record) => record.level === "E" && /^ANR in /.test(record.message),
+  },
+];
+
+function packageOf(type, text) {
+  const patterns = {
+    java: /Process: ([\w.:]+), PID: \d+/,
+    native: />>> ([\w.:]+) <<</,
+    anr: /ANR in ([\w.:]+)/,
+  };
+  const match = patterns[type].exec(text);
+  // Secondary processes are reported as com.foo:remote
+  return match ? match[1].split(":")[0] : null;
+}
+
+function titleOf(type, messageLines) {
+  if (type === "java") {
+    return (
+      messageLines.find((line) => /^\S+(Exception|Error)\b/.test(line)) ||
+      messageLines.find((line) => line && !/^(FATAL|Process:)/.test(line)) ||
+      "Java crash"
+    );
+  }
+  if (type === "native") {
+    const signal = messageLines.find((line) => /^signal \d+/.test(line));
+    return signal ? signal.replace(/, fault addr.*$/, "") : "Native crash";
+  }
+  const reason = messageLines.find((line) => /^Reason:/.test(line));
+  return reason || "Application Not Responding";
+}
+
+// The top frame identifies a crash site well enough to group repeats
+function signatureOf(type, title, messageLines) {
+  const frame = messageLines.find((line) => /^\s*(at |#\d+ pc)/.test(line));
+  const site = frame ? frame.trim().replace(/^#\d+ pc [0-9a-f]+\s+/, "") : "";
+  return [type, title.replace(/0x[0-9a-f]+/gi, ""), site].join("|");
+}
+
+// Tombstones are logged by crash_dump; the crashed PID is in the body
+function crashedPid(type, text, fallback) {
+  const match = type === "native" ? /^pid: (\d+)/m.exec(text) : null;
+  return match ? match[1] : fallback;
+}
+
+export class CrashDetector extends EventEmitter {
+  // Crashes are reported for any of the given packages, or for every
+  // package when none are given
+  constructor(packageNames = [], idleMs = 1000) {
+    super();
+    this.packageNames = packageNames;
+    this.idleMs = idleMs;
+    this.current = null;
+    this.idleTimer = null;
+    this.groups = new Map();
+  }
+
+  // Feed every record from the stream; returns true when the record was
+  // taken as part of a crash report
+  push(record) {
+    if (this.current && this.continues(record)) {
+      this.current.records.push(record);
+      this.scheduleFlush();
+      return true;
+    }
+    this.flush();
+
+    const starter = STARTERS.find(
+      (candidate) => candidate.tag === record.tag && candidate.test(record)
+    );
+    if (!starter) return false;
+
+    this.current = { type: starter.type, pid: record.pid, records: [record] };
+    this.scheduleFlush();
+    return true;
+  }
+
+  // Tombstones are written over several seconds, so a report only ends
+  // after a quiet period or when an unrelated record arrives
+  scheduleFlush() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.flush(), this.idleMs);
+  }
+
+  continues(record) {
+    const { type, pid } = this.current;
+    if (type === "java") {
+      return record.tag === "AndroidRuntime" && record.pid === pid;
+    }
+    if (type === "native") {
+      return record.tag === "DEBUG" && record.pid === pid;
+    }
+    return record.tag === "ActivityManager" && record.level === "E";
+  }
+
+  flush() {
+    clearTimeout(this.idleTimer);
+    const current = this.current;
+    if (!current) return;
+    this.current = null;
+
+    const messageLines = current.records.flatMap((record) =>
+      record.message.split("\n")
+    );
+    const text = messageLines.join("\n");
+    const packageName = packageOf(current.type, text);
+    if (
+      this.packageNames.length > 0 &&
+      !this.packageNames.includes(packageName)
+    ) {
+      return;
+    }
+
+    const title = titleOf(current.type, messageLines);
+    const first = current.records[0];
+    const crash = {
+      type: current.type,
+      packageName,
+      pid: crashedPid(current.type, text, first.pid),
+      timestamp: first.timestamp,
+      title,
+      records: current.records,
+      lines: current.records.flatMap((record) => record.lines),
+    };
+
+    this.track(crash, signatureOf(crash.type, title, messageLines));
+    this.emit("crash", crash);
+  }
+
+  track(crash, signature) {
+    const seenAt = new Date();
+    const group = this.groups.get(signature);
+    if (group) {
+      group.count++;
+      group.lastSeen = seenAt;
+      group.lastTimestamp = crash.timestamp;
+    } else {
+      this.groups.set(signature, {
+        type: crash.type,
+        title: crash.title,
+        count: 1,
+        firstSeen: seenAt,
+        lastSeen: seenAt,
+        firstTimestamp: crash.timestamp,
+        lastTimestamp: crash.timestamp,
+      });
+    }
+  }
+
+  summary() {
+    return [...this.groups.values()].sort((a, b) => b.count - a.count);
+  }
+}
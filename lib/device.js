@@ -1,7 +1,53 @@
 import { execa } from "execa";
 import chalk from "chalk";
 
+// Fix-ups for devices adb lists but can't talk to yet, keyed by the start of
+// the state column
+const STATE_HINTS = {
+  unauthorized: [
+    'Unlock the device and accept the "Allow USB debugging?" prompt',
+    "No prompt? Developer options → Revoke USB debugging authorizations, then reconnect",
+  ],
+  authorizing: ["Wait a few seconds for the device to finish authorizing"],
+  offline: [
+    "Reconnect the cable, or run: adb reconnect offline",
+    "If it stays offline, restart adb: adb kill-server && adb start-server",
+  ],
+  "no permissions": [
+    "adb can't open the USB device; add a udev rule for it and make sure you're in the plugdev group",
+    "See https://developer.android.com/studio/run/device#setting-up",
+  ],
+};
+
+const WIRELESS_HINTS = {
+  offline: [
+    "The device may have switched networks, slept or turned Wireless debugging off",
+    "Its port changes whenever Wireless debugging is re-enabled; check the port on the device and run: adb-logger devices connect <ip:port>",
+  ],
+};
+
+// ip:port endpoints and mDNS service names are both Wi-Fi connections
+export function isWirelessSerial(id) {
+  return /^[\w.-]+:\d+$/.test(id) || id.includes("._adb-tls-connect.");
+}
+
+export function deviceHints(device) {
+  const state = Object.keys(STATE_HINTS).find((key) =>
+    device.status.startsWith(key)
+  );
+  if (!state) return [];
+  return (device.wireless && WIRELESS_HINTS[state]) || STATE_HINTS[state];
+}
+
+export function isEndpoint(value) {
+  return /^[\w.-]+:\d{1,5}$/.test(value.trim());
+}
+
 export class DeviceManager {
+  adbArgs(args, deviceId = null) {
+    return deviceId ? ["-s", deviceId, ...args] : args;
+  }
+
   async checkDevices() {
     try {
       const { stdout } = await execa("adb", ["devices"], {
@@ -10,22 +56,26 @@ export class DeviceManager {
       });
       const lines = stdout.trim().split("\n").slice(1);
 
-      const devices = lines
+      const listed = lines
         .filter((line) => line.trim() && !line.includes("List of devices"))
         .map((line) => {
-          const [id, status] = line.split("\t");
+          const [id = "", status = ""] = line.split("\t");
           return {
             id: id.trim(),
             status: status.trim(),
+            wireless: isWirelessSerial(id.trim()),
             isValid: id.trim().length > 0 && status.trim().length > 0,
           };
         })
-        .filter((device) => device.isValid && device.status === "device");
+        .filter((device) => device.isValid);
+      const devices = listed.filter((device) => device.status === "device");
 
       return {
         connected: devices.length > 0,
         devices,
         count: devices.length,
+        // Listed but unusable: unauthorized, offline, no permissions...
+        unavailable: listed.filter((device) => device.status !== "device"),
       };
     } catch (error) {
       // Handle specific ADB errors
@@ -62,15 +112,80 @@ export class DeviceManager {
     }
   }
 
+  // adb pair and connect, am and pm exit 0 on most failures, so the output
+  // decides
+  async runChecked(args, success, timeout = 15000) {
+    try {
+      const { stdout, stderr } = await execa("adb", args, {
+        timeout,
+        reject: false,
+      });
+      const message = `${stdout}\n${stderr}`.trim();
+      return { ok: success.test(message), message };
+    } catch (error) {
+      return { ok: false, message: error.message };
+    }
+  }
+
+  pair(endpoint, code) {
+    return this.runChecked(["pair", endpoint, code], /Successfully paired/i);
+  }
+
+  connect(endpoint, timeout) {
+    return this.runChecked(
+      ["connect", endpoint],
+      /^(already )?connected to/im,
+      timeout
+    );
+  }
+
+  disconnect(endpoint) {
+    return this.runChecked(["disconnect", endpoint], /^disconnected/im);
+  }
+
+  // monkey finds the launcher activity by itself, on every Android version
+  launchApp(packageName, deviceId = null) {
+    return this.runChecked(
+      this.adbArgs(
+        [
+          "shell",
+          "monkey",
+          "-p",
+          packageName,
+          "-c",
+          "android.intent.category.LAUNCHER",
+          "1",
+        ],
+        deviceId
+      ),
+      /Events injected: 1/
+    );
+  }
+
+  forceStop(packageName, deviceId = null) {
+    return this.runChecked(
+      this.adbArgs(["shell", "am", "force-stop", packageName], deviceId),
+      /^$/
+    );
+  }
+
+  clearData(packageName, deviceId = null) {
+    return this.runChecked(
+      this.adbArgs(["shell", "pm", "clear", packageName], deviceId),
+      /^Success/m
+    );
+  }
+
+  clearLogcat(deviceId = null) {
+    return this.runChecked(this.adbArgs(["logcat", "-c"], deviceId), /^$/);
+  }
+
   async getDeviceName(deviceId) {
     try {
-      const { stdout } = await execa("adb", [
-        "-s",
-        deviceId,
-        "shell",
-        "getprop",
-        "ro.product.model",
-      ]);
+      const { stdout } = await execa(
+        "adb",
+        this.adbArgs(["shell", "getprop", "ro.product.model"], deviceId)
+      );
       return stdout.trim() || deviceId;
     } catch {
       return deviceId;
@@ -79,12 +194,16 @@ export class DeviceManager {
 
   async isPackageInstalled(packageName, deviceId = null) {
     try {
-      const args = deviceId
-        ? ["-s", deviceId, "shell", "pm", "list", "packages", packageName]
-        : ["shell", "pm", "list", "packages", packageName];
+      const args = this.adbArgs(
+        ["shell", "pm", "list", "packages", packageName],
+        deviceId
+      );
 
       const { stdout } = await execa("adb", args);
-      return stdout.includes(`package:${packageName}`);
+      // The filter is a substring match, so com.app also lists com.app.dev
+      return stdout
+        .split("\n")
+        .some((line) => line.trim() === `package:${packageName}`);
     } catch {
       return false;
     }
@@ -92,9 +211,7 @@ export class DeviceManager {
 
   async getPackagePid(packageName, deviceId = null) {
     try {
-      const args = deviceId
-        ? ["-s", deviceId, "shell", "pidof", packageName]
-        : ["shell", "pidof", packageName];
+      const args = this.adbArgs(["shell", "pidof", packageName], deviceId);
 
       const { stdout } = await execa("adb", args);
       const pid = stdout.trim();
@@ -104,7 +221,65 @@ export class DeviceManager {
     }
   }
 
+  async getDeviceNames(devices) {
+    return Promise.all(
+      devices.map(async (device) => ({
+        ...device,
+        name: await this.getDeviceName(device.id),
+      }))
+    );
+  }
+
+  // Device clock in logcat's -T format with the year, e.g.
+  // "2024-10-19 13:45:07.250". Older toybox dates have no %N, which leaves
+  // whole seconds.
+  async getDeviceTime(deviceId = null) {
+    try {
+      const { stdout } = await execa(
+        "adb",
+        this.adbArgs(["shell", "date", "'+%Y-%m-%d %H:%M:%S.%N'"], deviceId)
+      );
+      const match = /^(\d{4}-\d\d-\d\d \d\d:\d\d:\d\d)(?:\.(\d+))?/.exec(
+        stdout.trim()
+      );
+      if (!match) return null;
+      const millis = (match[2] || "").slice(0, 3).padEnd(3, "0");
+      return `${match[1]}.${millis}`;
+    } catch {
+      return null;
+    }
+  }
+
+  async getEventLogTags(deviceId = null) {
+    try {
+      const { stdout } = await execa(
+        "adb",
+        this.adbArgs(["shell", "cat", "/system/etc/event-log-tags"], deviceId)
+      );
+      return stdout;
+    } catch {
+      return "";
+    }
+  }
+
+  displayUnavailable(deviceInfo) {
+    for (const device of deviceInfo.unavailable || []) {
+      console.log(
+        chalk.yellow(
+          `⚠️  ${device.id} is ${device.status}${
+            device.wireless ? " (Wi-Fi)" : ""
+          }`
+        )
+      );
+      deviceHints(device).forEach((hint) =>
+        console.log(chalk.gray(`   💡 ${hint}`))
+      );
+    }
+  }
+
   displayDeviceStatus(deviceInfo) {
+    this.displayUnavailable(deviceInfo);
+
     if (!deviceInfo.connected) {
       console.log(chalk.red("❌ No Android devices or emulators connected"));
 
@@ -134,6 +309,11 @@ export class DeviceManager {
             "Please connect a device or start an emulator and try again."
           )
         );
+        console.log(
+          chalk.gray(
+            "Over Wi-Fi: adb-logger devices pair <ip:port>, then adb-logger devices connect <ip:port>"
+          )
+        );
       }
       return false;
     }
@@ -149,7 +329,8 @@ export class DeviceManager {
         chalk.green(`✅ Connected to ${deviceInfo.count} Android devices:`)
       );
       deviceInfo.devices.forEach((device) => {
-        console.log(chalk.cyan(`  - ${device.id}`));
+        const wireless = device.wireless ? chalk.gray(" (Wi-Fi)") : "";
+        console.log(chalk.cyan(`  - ${device.id}`) + wireless);
       });
     } else {
       console.log(chalk.yellow("⚠️  Device status unclear"));
@@ -159,12 +340,20 @@ export class DeviceManager {
     return true;
   }
 
-  async waitForDevice(timeoutMs = 30000) {
+  // With a serial, waits for that device to be back online; false on
+  // timeout or when the signal aborts
+  async waitForDevice(deviceId = null, { timeoutMs = 30000, signal } = {}) {
     const startTime = Date.now();
 
-    while (Date.now() - startTime < timeoutMs) {
+    while (Date.now() - startTime < timeoutMs && !signal?.aborted) {
+      // adb doesn't reconnect Wi-Fi devices by itself
+      if (deviceId && isEndpoint(deviceId)) await this.connect(deviceId, 3000);
+
       const deviceInfo = await this.checkDevices();
-      if (deviceInfo.connected) return true;
+      const ready = deviceId
+        ? deviceInfo.devices.some((device) => device.id === deviceId)
+        : deviceInfo.connected;
+      if (ready) return true;
       await new Promise((resolve) => setTimeout(resolve, 1000));
     }
 
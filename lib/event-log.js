@@ -0,0 +1,85 @@
+// Field names for the events buffer come from the device's
+// /system/etc/event-log-tags; these common ActivityManager tags cover
+// recordings and devices where that file can't be read
+const FALLBACK_TAGS = `
+30008 am_anr (User|1|5),(pid|1|5),(Package Name|3),(Flags|1|5),(reason|3)
+30011 am_proc_died (User|1|5),(PID|1|5),(Process Name|3),(OomAdj|1|5),(ProcState|1|5)
+30014 am_proc_start (User|1|5),(PID|1|5),(UID|1|5),(Process Name|3),(Type|3),(Component|3)
+30017 am_low_memory (Num Processes|1|1)
+30023 am_kill (User|1|5),(PID|1|5),(Process Name|3),(OomAdj|1|5),(Reason|3)
+30039 am_crash (User|1|5),(PID|1|5),(Process Name|3),(Flags|1|5),(Exception|3),(Message|3),(File|3),(Line|1|5),(Recoverable|1|5)
+30040 am_wtf (User|1|5),(PID|1|5),(Process Name|3),(Flags|1|5),(Tag|3),(Message|3)
+`;
+
+// "30014 am_proc_start (User|1|5),(PID|1|5),..." lines, by tag name
+export function parseEventLogTags(text) {
+  const tags = new Map();
+  for (const line of text.split("\n")) {
+    const match = /^\d+\s+(\w+)\s*(.*)$/.exec(line.trim());
+    if (!match) continue;
+    const fields = [...match[2].matchAll(/\(([^|)]+)\|/g)].map((field) =>
+      field[1].trim()
+    );
+    if (fields.length > 0) tags.set(match[1], fields);
+  }
+  return tags;
+}
+
+// Splits "[0,4321,com.foo,{com.foo/.Main}]" on the commas outside nested
+// brackets and braces
+function splitValues(message) {
+  const text =
+    message.startsWith("[") && message.endsWith("]")
+      ? message.slice(1, -1)
+      : message;
+  const values = [];
+  let depth = 0;
+  let start = 0;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (char === "[" || char === "{") depth += 1;
+    else if (char === "]" || char === "}") depth = Math.max(0, depth - 1);
+    else if (char === "," && depth === 0) {
+      values.push(text.slice(start, index));
+      start = index + 1;
+    }
+  }
+  values.push(text.slice(start));
+  return values;
+}
+
+export class EventLogDecoder {
+  constructor(deviceTags = "") {
+    this.tags = new Map([
+      ...parseEventLogTags(FALLBACK_TAGS),
+      ...parseEventLogTags(deviceTags),
+    ]);
+  }
+
+  // Names the values of a known event, e.g. "[0,4321,...]" becomes
+  // "User=0, PID=4321, ...". Records that don't fit the tag's fields are
+  // left as they are.
+  decode(record) {
+    const fields = record.tag && this.tags.get(record.tag);
+    if (!fields || !record.message || record.message.includes("\n")) {
+      return record;
+    }
+    const values = splitValues(record.message);
+    if (values.length !== fields.length) return record;
+
+    const message = fields
+      .map((field, index) => `${field}=${values[index]}`)
+      .join(", ");
+    const [first, ...rest] = record.lines;
+    return {
+      ...record,
+      message,
+      lines: [
+        first.endsWith(record.message)
+          ? first.slice(0, first.length - record.message.length) + message
+          : first,
+        ...rest,
+      ],
+    };
+  }
+}
@@ -0,0 +1,95 @@
+import { readFile } from "fs/promises";
+import { join } from "path";
+
+const PACKAGE_PATTERN = /^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/;
+
+async function readJson(path) {
+  try {
+    return JSON.parse(await readFile(path, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// app.config.js/ts is code; rather than run it during a scan, pick up the
+// string literals assigned to `package` (including both sides of ternaries)
+function staticConfigPackages(source) {
+  const packages = [];
+  for (const match of source.matchAll(/\bpackage\s*:\s*([^,\n}]+)/g)) {
+    for (const literal of match[1].matchAll(/["'`]([^"'`]+)["'`]/g)) {
+      if (PACKAGE_PATTERN.test(literal[1])) packages.push(literal[1]);
+    }
+  }
+  const name = /\bname\s*:\s*["'`]([^"'`]+)["'`]/.exec(source);
+  return { packages, name: name ? name[1] : null };
+}
+
+function resolveProfile(profiles, name, seen = new Set()) {
+  const profile = profiles[name];
+  if (!profile || seen.has(name)) return {};
+  seen.add(name);
+  const parent = profile.extends
+    ? resolveProfile(profiles, profile.extends, seen)
+    : {};
+  return {
+    ...parent,
+    ...profile,
+    env: { ...(parent.env || {}), ...(profile.env || {}) },
+  };
+}
+
+// EAS profiles usually switch the package through an env variable that
+// app.config reads, e.g. APP_PACKAGE=com.foo.staging
+function profilePackages(eas) {
+  const profiles = eas?.build || {};
+  return Object.keys(profiles).flatMap((name) => {
+    const profile = resolveProfile(profiles, name);
+    const packageName =
+      profile.android?.package ||
+      Object.values(profile.env || {}).find(
+        (value) => typeof value === "string" && PACKAGE_PATTERN.test(value)
+      );
+    return packageName ? [{ packageName, variant: name }] : [];
+  });
+}
+
+export async function readExpoProject(projectDir) {
+  const appJson = await readJson(join(projectDir, "app.json"));
+  const eas = await readJson(join(projectDir, "eas.json"));
+
+  const packages = [];
+  const expo = appJson?.expo || appJson;
+  let name = expo?.name || null;
+
+  if (expo?.android?.package) {
+    packages.push({ packageName: expo.android.package, variant: null });
+  }
+
+  for (const file of ["app.config.js", "app.config.ts"]) {
+    try {
+      const config = staticConfigPackages(
+        await readFile(join(projectDir, file), "utf8")
+      );
+      config.packages.forEach((packageName) => {
+        packages.push({ packageName, variant: null });
+      });
+      name = name || config.name;
+    } catch {
+      continue;
+    }
+  }
+
+  packages.push(...profilePackages(eas));
+  if (packages.length === 0) return null;
+
+  // One entry per package, labelled by the first EAS profile using it
+  const byPackage = new Map();
+  for (const entry of packages) {
+    const existing = byPackage.get(entry.packageName);
+    if (!existing || (!existing.variant && entry.variant)) {
+      byPackage.set(entry.packageName, entry);
+    }
+  }
+
+  return { name, packages: [...byPackage.values()] };
+}
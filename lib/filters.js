@@ -0,0 +1,157 @@
+import { LOG_LEVEL_ORDER } from "./logcat-parser.js";
+
+export const BUILTIN_PRESETS = {
+  "hide-system-noise": {
+    excludeTags: [
+      "chatty",
+      "OpenGLRenderer",
+      "EGL_emulation",
+      "eglCodecCommon",
+      "HostConnection",
+    ],
+  },
+};
+
+export function globToRegExp(pattern) {
+  const escaped = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${escaped}$`);
+}
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Invalid message pattern "${pattern}": ${error.message}`);
+  }
+}
+
+export function splitList(input) {
+  if (Array.isArray(input)) return input.flatMap(splitList);
+  if (!input) return [];
+  return input
+    .split(/[\s,]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Parses logcat-style filterspecs such as "ReactNativeJS:V *:W"
+export function parseTagLevels(spec) {
+  return splitList(spec).map((entry) => {
+    const separator = entry.lastIndexOf(":");
+    const tag = separator === -1 ? "" : entry.slice(0, separator);
+    const level = entry.slice(separator + 1).toUpperCase();
+
+    if (!tag || !LOG_LEVEL_ORDER.includes(level)) {
+      throw new Error(
+        `Invalid tag level "${entry}" (expected Tag:LEVEL, e.g. ReactNativeJS:V)`
+      );
+    }
+    return { tag, level, matcher: globToRegExp(tag) };
+  });
+}
+
+export class LogFilter {
+  constructor(spec = {}) {
+    this.spec = {
+      includeTags: splitList(spec.includeTags),
+      excludeTags: splitList(spec.excludeTags),
+      messagePatterns: [].concat(spec.messagePatterns || []),
+      excludeMessagePatterns: [].concat(spec.excludeMessagePatterns || []),
+      tagLevels: splitList(spec.tagLevels).join(" "),
+    };
+
+    this.includeTags = this.spec.includeTags.map(globToRegExp);
+    this.excludeTags = this.spec.excludeTags.map(globToRegExp);
+    this.messagePatterns = this.spec.messagePatterns.map(compilePattern);
+    this.excludeMessagePatterns =
+      this.spec.excludeMessagePatterns.map(compilePattern);
+    this.tagLevels = parseTagLevels(this.spec.tagLevels);
+  }
+
+  static merge(...specs) {
+    const merged = {};
+    for (const spec of specs.filter(Boolean)) {
+      for (const key of [
+        "includeTags",
+        "excludeTags",
+        "messagePatterns",
+        "excludeMessagePatterns",
+      ]) {
+        merged[key] = [...(merged[key] || []), ...[].concat(spec[key] || [])];
+      }
+      if (spec.tagLevels) {
+        merged.tagLevels = [merged.tagLevels, spec.tagLevels]
+          .filter(Boolean)
+          .join(" ");
+      }
+    }
+    return merged;
+  }
+
+  isEmpty() {
+    return (
+      this.includeTags.length === 0 &&
+      this.excludeTags.length === 0 &&
+      this.messagePatterns.length === 0 &&
+      this.excludeMessagePatterns.length === 0 &&
+      this.tagLevels.length === 0
+    );
+  }
+
+  // Exact tags win over wildcards, and a later entry wins over an earlier one
+  levelFor(tag, defaultLevel) {
+    let exact = null;
+    let wildcard = null;
+    for (const entry of this.tagLevels) {
+      if (entry.tag === tag) exact = entry.level;
+      else if (entry.matcher.test(tag || "")) wildcard = entry.level;
+    }
+    return exact || wildcard || defaultLevel;
+  }
+
+  matches(record) {
+    const tag = record.tag || "";
+
+    if (
+      this.includeTags.length > 0 &&
+      !this.includeTags.some((matcher) => matcher.test(tag))
+    ) {
+      return false;
+    }
+    if (this.excludeTags.some((matcher) => matcher.test(tag))) return false;
+    if (
+      this.messagePatterns.length > 0 &&
+      !this.messagePatterns.some((pattern) => pattern.test(record.message))
+    ) {
+      return false;
+    }
+    return !this.excludeMessagePatterns.some((pattern) =>
+      pattern.test(record.message)
+    );
+  }
+
+  describe() {
+    const parts = [];
+    if (this.spec.includeTags.length > 0) {
+      parts.push(`tags: ${this.spec.includeTags.join(", ")}`);
+    }
+    if (this.spec.excludeTags.length > 0) {
+      parts.push(`hide: ${this.spec.excludeTags.join(", ")}`);
+    }
+    if (this.spec.messagePatterns.length > 0) {
+      parts.push(`match: ${this.spec.messagePatterns.join(" | ")}`);
+    }
+    if (this.spec.excludeMessagePatterns.length > 0) {
+      parts.push(`skip: ${this.spec.excludeMessagePatterns.join(" | ")}`);
+    }
+    if (this.spec.tagLevels) parts.push(`levels: ${this.spec.tagLevels}`);
+    return parts.join("; ");
+  }
+}
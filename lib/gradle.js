@@ -0,0 +1,236 @@
+// Minimal Groovy/Kotlin DSL reader for the parts of android/app/build.gradle
+// that decide which application IDs get installed. It only tracks braces and
+// string literals; anything computed at build time is ignored.
+
+function stripComments(source) {
+  let result = "";
+  let quote = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quote) {
+      result += char;
+      if (char === "\\") {
+        result += source[++i] || "";
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+      result += char;
+    } else if (char === "/" && source[i + 1] === "/") {
+      while (i < source.length && source[i] !== "\n") i++;
+      result += "\n";
+    } else if (char === "/" && source[i + 1] === "*") {
+      const end = source.indexOf("*/", i + 2);
+      i = end === -1 ? source.length : end + 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+// Index of the brace closing the one at `start`, skipping string literals
+function matchBrace(source, start) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return source.length;
+}
+
+// Direct child blocks of `body`: `debug {`, `create("dev") {`,
+// `getByName("release") {`, `register("staging") {` ...
+export function childBlocks(body) {
+  const blocks = [];
+  const pattern =
+    /(?:^|[\s;])(?:(?:create|register|getByName|maybeCreate|named)\s*\(\s*["']([\w-]+)["']\s*\)|([A-Za-z_]\w*))\s*(?:\.\s*configure\s*)?\{/g;
+  let index = 0;
+
+  while (index < body.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(body);
+    if (!match) break;
+
+    const open = body.indexOf("{", match.index + match[0].length - 1);
+    const close = matchBrace(body, open);
+    blocks.push({
+      name: match[1] || match[2],
+      body: body.slice(open + 1, close),
+      open,
+      close,
+    });
+    index = close + 1;
+  }
+
+  return blocks;
+}
+
+export function findBlock(body, name) {
+  const block = childBlocks(body).find((child) => child.name === name);
+  return block ? block.body : null;
+}
+
+// Removes nested blocks so properties are only read from this level
+function ownStatements(body) {
+  let result = "";
+  let index = 0;
+
+  for (const child of childBlocks(body)) {
+    result += body.slice(index, child.open);
+    index = child.close + 1;
+  }
+
+  return result + body.slice(index);
+}
+
+export function readProperty(body, key) {
+  const match = new RegExp(
+    `\\b${key}\\s*(?:=\\s*)?\\(?\\s*["']([^"']+)["']`
+  ).exec(ownStatements(body));
+  return match ? match[1] : null;
+}
+
+export function parseAndroidBuild(source) {
+  const clean = stripComments(source);
+  const android = findBlock(clean, "android");
+  if (!android) return null;
+
+  const defaultConfig = findBlock(android, "defaultConfig") || "";
+  const readEntries = (blockName) => {
+    const block = findBlock(android, blockName);
+    return block
+      ? childBlocks(block).map((child) => ({
+          name: child.name,
+          dimension: readProperty(child.body, "dimension"),
+          applicationId: readProperty(child.body, "applicationId"),
+          applicationIdSuffix: readProperty(child.body, "applicationIdSuffix"),
+        }))
+      : [];
+  };
+
+  const dimensionsMatch =
+    /flavorDimensions\s*(?:\+?=\s*)?(?:\(|\[|listOf\s*\(|)\s*((?:["'][\w-]+["']\s*,?\s*)+)/.exec(
+      ownStatements(android)
+    );
+
+  return {
+    namespace: readProperty(android, "namespace"),
+    applicationId: readProperty(defaultConfig, "applicationId"),
+    applicationIdSuffix: readProperty(defaultConfig, "applicationIdSuffix"),
+    flavorDimensions: dimensionsMatch
+      ? [...dimensionsMatch[1].matchAll(/["']([\w-]+)["']/g)].map((m) => m[1])
+      : [],
+    productFlavors: readEntries("productFlavors"),
+    buildTypes: readEntries("buildTypes"),
+  };
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+// Flavors from different dimensions combine, in flavorDimensions order
+function flavorCombinations(build) {
+  if (build.productFlavors.length === 0) return [[]];
+
+  const dimensions = build.flavorDimensions.length
+    ? build.flavorDimensions
+    : [...new Set(build.productFlavors.map((flavor) => flavor.dimension))];
+
+  return dimensions.reduce(
+    (combinations, dimension) => {
+      const flavors = build.productFlavors.filter(
+        (flavor) =>
+          flavor.dimension === dimension ||
+          (!flavor.dimension && dimensions.length === 1)
+      );
+      if (flavors.length === 0) return combinations;
+      return combinations.flatMap((combination) =>
+        flavors.map((flavor) => [...combination, flavor])
+      );
+    },
+    [[]]
+  );
+}
+
+// Returns one entry per distinct application ID, each listing the variants
+// (e.g. devDebug, devRelease) that install it
+export function resolveVariants(build, fallbackPackage = null) {
+  const baseId = build.applicationId || build.namespace || fallbackPackage;
+  if (!baseId) return [];
+
+  const buildTypes = [{ name: "debug" }, { name: "release" }];
+  for (const buildType of build.buildTypes) {
+    const existing = buildTypes.find((type) => type.name === buildType.name);
+    if (existing) Object.assign(existing, buildType);
+    else buildTypes.push(buildType);
+  }
+
+  const byPackage = new Map();
+  for (const flavors of flavorCombinations(build)) {
+    // The first flavor dimension has the highest priority
+    const flavorId = flavors.find(
+      (flavor) => flavor.applicationId
+    )?.applicationId;
+    const flavorName = flavors
+      .map((flavor, index) => (index ? capitalize(flavor.name) : flavor.name))
+      .join("");
+
+    for (const buildType of buildTypes) {
+      const packageName = [
+        flavorId || baseId,
+        build.applicationIdSuffix,
+        ...flavors.map((flavor) => flavor.applicationIdSuffix),
+        buildType.applicationIdSuffix,
+      ]
+        .filter(Boolean)
+        .map((part, index) =>
+          index === 0 || part.startsWith(".") ? part : `.${part}`
+        )
+        .join("");
+
+      const variant = flavorName
+        ? `${flavorName}${capitalize(buildType.name)}`
+        : buildType.name;
+      if (!byPackage.has(packageName)) {
+        byPackage.set(packageName, { packageName, flavorName, variants: [] });
+      }
+      byPackage.get(packageName).variants.push(variant);
+    }
+  }
+
+  // Label by flavor when every build type of it shares one ID
+  return [...byPackage.values()].map((entry) => {
+    const coversFlavor =
+      entry.variants.length === buildTypes.length &&
+      [...byPackage.values()].filter((e) => e.flavorName === entry.flavorName)
+        .length === 1;
+    return {
+      packageName: entry.packageName,
+      variant: coversFlavor
+        ? entry.flavorName || null
+        : entry.variants.join(", "),
+    };
+  });
+}
@@ -0,0 +1,263 @@
+import { EventEmitter } from "events";
+import { LOG_LEVEL_ORDER } from "./logcat-parser.js";
+import { globToRegExp } from "./filters.js";
+
+// "E:ReactNativeJS" or "W:OkHttp*:timeout": minimum level (or *), tag glob
+// and an optional regex on the line, which may itself contain ":"
+export function parseLineRule(spec) {
+  const [level, tag, ...pattern] = spec.split(":");
+  const minimum =
+    level === "*" ? 0 : LOG_LEVEL_ORDER.indexOf(level.toUpperCase());
+  if (minimum === -1 || !tag) {
+    throw new Error(
+      `Invalid rule "${spec}" (expected LEVEL:Tag or LEVEL:Tag:regex, e.g. E:ReactNativeJS)`
+    );
+  }
+
+  let regex = null;
+  if (pattern.length > 0) {
+    try {
+      regex = new RegExp(pattern.join(":"), "i");
+    } catch (error) {
+      throw new Error(`Invalid pattern in "${spec}": ${error.message}`);
+    }
+  }
+  return { spec, minimum, tagMatcher: globToRegExp(tag), regex };
+}
+
+function matchesRule(rule, record) {
+  if (!record.level || LOG_LEVEL_ORDER.indexOf(record.level) < rule.minimum) {
+    return false;
+  }
+  if (!rule.tagMatcher.test(record.tag || "")) return false;
+  return !rule.regex || record.lines.some((line) => rule.regex.test(line));
+}
+
+// Checks every line of a session against forbidden and allowed rules and
+// keeps the lines around each violation for the report
+export class LogGuard extends EventEmitter {
+  constructor({
+    failOn = [],
+    allow = [],
+    crashes = true,
+    context = 10,
+    launch = false,
+  } = {}) {
+    super();
+    // Whether the run launches the app, which then has to succeed
+    this.launch = launch;
+    this.failOn = failOn;
+    this.allow = allow;
+    this.crashes = crashes;
+    this.contextSize = context;
+    this.recent = [];
+    this.pending = [];
+    this.violations = [];
+    this.checked = 0;
+    this.startedAt = new Date();
+  }
+
+  get failed() {
+    return this.violations.length > 0;
+  }
+
+  push(record, packageName = null) {
+    this.checked += 1;
+    for (const violation of this.pending) {
+      violation.after.push(...record.lines);
+    }
+    this.pending = this.pending.filter(
+      (violation) => violation.after.length < this.contextSize
+    );
+
+    const rule = this.failOn.find((entry) => matchesRule(entry, record));
+    if (rule && !this.allow.some((entry) => matchesRule(entry, record))) {
+      const violation = {
+        type: "line",
+        rule: rule.spec,
+        packageName,
+        timestamp: record.timestamp,
+        level: record.level,
+        tag: record.tag,
+        pid: record.pid,
+        message: record.message,
+        lines: record.lines,
+        before: this.recent.slice(),
+        after: [],
+      };
+      this.violations.push(violation);
+      if (this.contextSize > 0) this.pending.push(violation);
+      this.emit("violation", violation);
+    }
+
+    this.recent.push(...record.lines);
+    if (this.recent.length > this.contextSize) {
+      this.recent.splice(0, this.recent.length - this.contextSize);
+    }
+  }
+
+  addCrash(crash) {
+    if (!this.crashes) return;
+    const violation = {
+      type: "crash",
+      rule: "crash",
+      crashType: crash.type,
+      title: crash.title,
+      packageName: crash.packageName,
+      timestamp: crash.timestamp,
+      pid: crash.pid,
+      lines: crash.lines,
+    };
+    this.violations.push(violation);
+    this.emit("violation", violation);
+  }
+
+  addLaunchFailure(packageName, message) {
+    const violation = {
+      type: "launch",
+      rule: "launch",
+      title: `Cannot launch ${packageName}: ${message}`,
+      packageName,
+      lines: [],
+    };
+    this.violations.push(violation);
+    this.emit("violation", violation);
+  }
+
+  // A run that saw no lines at all proves nothing, so it fails too
+  result(info = {}) {
+    const endedAt = new Date();
+    const trimmed = this.violations.map((violation) =>
+      violation.after
+        ? { ...violation, after: violation.after.slice(0, this.contextSize) }
+        : violation
+    );
+    if (this.checked === 0) {
+      trimmed.push({
+        type: "empty",
+        rule: "output",
+        title: "No log lines were checked",
+        lines: [],
+      });
+    }
+    return {
+      passed: trimmed.length === 0,
+      ...info,
+      startedAt: this.startedAt.toISOString(),
+      endedAt: endedAt.toISOString(),
+      durationMs: endedAt - this.startedAt,
+      failOn: this.failOn.map((rule) => rule.spec),
+      allow: this.allow.map((rule) => rule.spec),
+      crashes: this.crashes,
+      launch: this.launch,
+      checkedLines: this.checked,
+      violations: trimmed,
+    };
+  }
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(
+      /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu,
+      ""
+    )
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function describeViolation(violation) {
+  if (violation.type === "launch" || violation.type === "empty") {
+    return violation.title;
+  }
+  const lines =
+    violation.type === "crash"
+      ? [`${violation.crashType} crash: ${violation.title}`, ...violation.lines]
+      : [
+          ...violation.before.map((line) => `  ${line}`),
+          `> ${violation.lines.join("\n> ")}`,
+          ...violation.after.map((line) => `  ${line}`),
+        ];
+  return lines.join("\n");
+}
+
+// One test case per forbidden rule, plus one for crashes, so CI dashboards
+// show which rule failed
+export function toJUnit(result) {
+  const seconds = (result.durationMs / 1000).toFixed(3);
+  const suite = `adb-logger assert ${(result.packages || []).join(", ")}`;
+  const cases = [
+    {
+      name: "logcat output",
+      violations: result.violations.filter(
+        (violation) => violation.type === "empty"
+      ),
+    },
+    ...(result.launch
+      ? [
+          {
+            name: "app launches",
+            violations: result.violations.filter(
+              (violation) => violation.type === "launch"
+            ),
+          },
+        ]
+      : []),
+    ...result.failOn.map((rule) => ({
+      name: `no ${rule} lines`,
+      violations: result.violations.filter(
+        (violation) => violation.rule === rule
+      ),
+    })),
+    ...(result.crashes
+      ? [
+          {
+            name: "no crashes",
+            violations: result.violations.filter(
+              (violation) => violation.type === "crash"
+            ),
+          },
+        ]
+      : []),
+  ];
+  const failures = cases.filter((entry) => entry.violations.length > 0).length;
+
+  const body = cases.map(({ name, violations }) => {
+    const open = `    <testcase classname="adb-logger" name="${escapeXml(
+      name
+    )}" time="${seconds}"`;
+    if (violations.length === 0) return `${open}/>`;
+    const message = `${violations.length} matching ${
+      violations.length === 1 ? "entry" : "entries"
+    }`;
+    return [
+      `${open}>`,
+      `      <failure message="${escapeXml(message)}" type="logcat">${escapeXml(
+        violations.map(describeViolation).join("\n\n")
+      )}</failure>`,
+      "    </testcase>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="adb-logger" tests="${cases.length}" failures="${failures}" time="${seconds}">`,
+    `  <testsuite name="${escapeXml(suite)}" tests="${
+      cases.length
+    }" failures="${failures}" errors="0" time="${seconds}" timestamp="${
+      result.startedAt
+    }">`,
+    `    <properties>`,
+    `      <property name="device" value="${escapeXml(
+      result.deviceId || ""
+    )}"/>`,
+    `      <property name="checkedLines" value="${result.checkedLines}"/>`,
+    `    </properties>`,
+    ...body,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
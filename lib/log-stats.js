@@ -0,0 +1,120 @@
+const RATE_WINDOW_SECONDS = 10;
+const ERROR_WINDOW_SECONDS = 60;
+
+const isError = (level) => level === "E" || level === "F";
+
+function errorSummary(record) {
+  return {
+    timestamp: record.timestamp,
+    tag: record.tag,
+    pid: record.pid,
+    // Stack traces are summed up by their first line
+    message: (record.message || "").split("\n")[0],
+  };
+}
+
+// Counts every record from the monitored apps, whatever the level and
+// filters hide, so spam shows up even when it isn't on screen
+export class LogStats {
+  constructor(now = Date.now()) {
+    this.startedAt = now;
+    this.total = 0;
+    this.levels = {};
+    this.tags = new Map();
+    this.pids = new Map();
+    this.firstError = null;
+    this.lastError = null;
+    // One bucket per second for the last minute
+    this.buckets = [];
+    this.peak = 0;
+  }
+
+  add(record, now = Date.now()) {
+    const level = record.level || "?";
+    const tag = record.tag || "(none)";
+    this.total += 1;
+    this.levels[level] = (this.levels[level] || 0) + 1;
+
+    const tagStats = this.tags.get(tag) || { count: 0, errors: 0, warnings: 0 };
+    tagStats.count += 1;
+    if (isError(level)) tagStats.errors += 1;
+    if (level === "W") tagStats.warnings += 1;
+    this.tags.set(tag, tagStats);
+
+    if (record.pid) {
+      this.pids.set(record.pid, (this.pids.get(record.pid) || 0) + 1);
+    }
+    if (isError(level)) {
+      if (!this.firstError) this.firstError = errorSummary(record);
+      this.lastError = errorSummary(record);
+    }
+
+    const second = Math.floor(now / 1000);
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, lines: 0, errors: 0 };
+      this.buckets.push(bucket);
+      this.trim(now);
+    }
+    bucket.lines += 1;
+    if (isError(level)) bucket.errors += 1;
+    this.peak = Math.max(this.peak, bucket.lines);
+  }
+
+  trim(now) {
+    const oldest = Math.floor(now / 1000) - ERROR_WINDOW_SECONDS;
+    while (this.buckets.length > 0 && this.buckets[0].second <= oldest) {
+      this.buckets.shift();
+    }
+  }
+
+  sum(key, seconds, now) {
+    const since = Math.floor(now / 1000) - seconds;
+    return this.buckets
+      .filter((bucket) => bucket.second > since)
+      .reduce((total, bucket) => total + bucket[key], 0);
+  }
+
+  // Averaged over the last few seconds, or less right after the start
+  linesPerSecond(now = Date.now()) {
+    const elapsed = Math.min(
+      RATE_WINDOW_SECONDS,
+      Math.max(1, (now - this.startedAt) / 1000)
+    );
+    return this.sum("lines", RATE_WINDOW_SECONDS, now) / elapsed;
+  }
+
+  errorsPerMinute(now = Date.now()) {
+    return this.sum("errors", ERROR_WINDOW_SECONDS, now);
+  }
+
+  topTags(limit = 10) {
+    return [...this.tags]
+      .map(([tag, counts]) => ({ tag, ...counts }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+
+  summary(now = Date.now()) {
+    const durationMs = now - this.startedAt;
+    const count = (level) => this.levels[level] || 0;
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: new Date(now).toISOString(),
+      durationMs,
+      total: this.total,
+      linesPerSecond:
+        Math.round((this.total / Math.max(1, durationMs / 1000)) * 10) / 10,
+      peakLinesPerSecond: this.peak,
+      levels: this.levels,
+      errors: count("E") + count("F"),
+      warnings: count("W"),
+      tags: this.topTags(),
+      pids: [...this.pids]
+        .map(([pid, lines]) => ({ pid, lines }))
+        .sort((a, b) => b.lines - a.lines),
+      firstError: this.firstError,
+      lastError: this.lastError,
+    };
+  }
+}
@@ -0,0 +1,243 @@
+import { StringDecoder } from "string_decoder";
+
+export const LOG_LEVEL_ORDER = ["V", "D", "I", "W", "E", "F"];
+
+export const LOGCAT_BUFFERS = ["main", "system", "crash", "events", "radio"];
+
+const TIMESTAMP = String.raw`(\d\d-\d\d \d\d:\d\d:\d\d\.\d+)`;
+
+const FORMATS = {
+  // 10-19 10:00:00.000 I/ReactNativeJS( 1234): message
+  time: new RegExp(
+    String.raw`^${TIMESTAMP}\s+([VDIWEFS])\/(.*?)\(\s*(\d+)\):\s?(.*)$`
+  ),
+  // 10-19 10:00:00.000  1234  1250 I ReactNativeJS: message
+  threadtime: new RegExp(
+    String.raw`^${TIMESTAMP}\s+(\d+)\s+(\d+)\s+([VDIWEFS])\s+(.*?)\s*:\s?(.*)$`
+  ),
+  // I/ReactNativeJS( 1234): message
+  brief: /^([VDIWEFS])\/(.*?)\(\s*(\d+)\):\s?(.*)$/,
+  // [ 10-19 10:00:00.000  1234: 1250 I/ReactNativeJS ]
+  long: new RegExp(
+    String.raw`^\[\s+${TIMESTAMP}\s+(\d+):\s*(\w+)\s+([VDIWEFS])\/(.*?)\s*\]$`
+  ),
+};
+
+// "main,events" or "all"
+export function parseBuffers(value) {
+  const names = String(value)
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  if (names.length === 0) throw new Error("Expected a buffer name");
+  return names.flatMap((name) => {
+    if (name === "all") return LOGCAT_BUFFERS;
+    if (!LOGCAT_BUFFERS.includes(name)) {
+      throw new Error(
+        `Unknown buffer "${name}" (expected ${LOGCAT_BUFFERS.join(
+          ", "
+        )} or all)`
+      );
+    }
+    return [name];
+  });
+}
+
+// A logcat timestamp ("10-19 14:30", "2024-10-19 14:30:05.250") or how long
+// ago, e.g. "10m"
+export function parseLogcatTime(input) {
+  const text = String(input).trim();
+  const duration = /^(\d+(?:\.\d+)?)\s*(s|m|h|d)$/i.exec(text);
+  if (duration) {
+    const units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return {
+      ago: Math.round(
+        parseFloat(duration[1]) * units[duration[2].toLowerCase()]
+      ),
+    };
+  }
+
+  const match =
+    /^((?:\d{4}-)?\d\d-\d\d)[ T](\d\d:\d\d)(:\d\d)?(\.\d{1,3})?$/.exec(text);
+  if (!match) {
+    throw new Error(
+      `Invalid time "${input}" (e.g. 10m, 2h, "10-19 14:30" or "10-19 14:30:05.250")`
+    );
+  }
+  const [, date, minutes, seconds = ":00", millis = ".000"] = match;
+  return { time: `${date} ${minutes}${seconds}${millis.padEnd(4, "0")}` };
+}
+
+// Shifts a "2024-10-19 14:30:05.250" device time. Device times carry no
+// zone, so the arithmetic stays in UTC.
+export function shiftLogcatTime(time, ms) {
+  const match = /^(\d{4})-(\d\d)-(\d\d) (\d\d):(\d\d):(\d\d)\.(\d{3})$/.exec(
+    time
+  );
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, millis] =
+    match.map(Number);
+  const date = new Date(
+    Date.UTC(year, month - 1, day, hours, minutes, seconds, millis) + ms
+  );
+  return date.toISOString().replace("T", " ").replace("Z", "");
+}
+
+export function levelIndex(level) {
+  return LOG_LEVEL_ORDER.indexOf(level);
+}
+
+export function parseLogcatLine(line) {
+  let match = FORMATS.threadtime.exec(line);
+  if (match) {
+    const [, timestamp, pid, tid, level, tag, message] = match;
+    return { format: "threadtime", timestamp, level, tag, pid, tid, message };
+  }
+
+  match = FORMATS.time.exec(line);
+  if (match) {
+    const [, timestamp, level, tag, pid, message] = match;
+    return {
+      format: "time",
+      timestamp,
+      level,
+      tag: tag.trim(),
+      pid,
+      tid: null,
+      message,
+    };
+  }
+
+  match = FORMATS.brief.exec(line);
+  if (match) {
+    const [, level, tag, pid, message] = match;
+    return {
+      format: "brief",
+      timestamp: null,
+      level,
+      tag: tag.trim(),
+      pid,
+      tid: null,
+      message,
+    };
+  }
+
+  match = FORMATS.long.exec(line);
+  if (match) {
+    const [, timestamp, pid, tid, level, tag] = match;
+    return { format: "long", timestamp, level, tag, pid, tid, message: null };
+  }
+
+  return null;
+}
+
+function sameHeader(a, b) {
+  return (
+    a.format === b.format &&
+    a.timestamp === b.timestamp &&
+    a.level === b.level &&
+    a.tag === b.tag &&
+    a.pid === b.pid &&
+    a.tid === b.tid
+  );
+}
+
+export class LogcatParser {
+  constructor() {
+    this.decoder = new StringDecoder("utf8");
+    this.partial = "";
+    this.pending = null;
+  }
+
+  // Returns the records completed by this chunk. The last record stays
+  // pending until a different header arrives or flush() is called, because
+  // logcat splits one multi-line message into several lines with the same
+  // header.
+  push(chunk) {
+    const text =
+      this.partial +
+      (typeof chunk === "string" ? chunk : this.decoder.write(chunk));
+    const lines = text.split(/\r?\n/);
+    this.partial = lines.pop();
+
+    const records = [];
+    for (const line of lines) {
+      const record = this.consume(line);
+      if (record) records.push(record);
+    }
+    return records;
+  }
+
+  flush() {
+    const records = [];
+    if (this.partial) {
+      const record = this.consume(this.partial);
+      if (record) records.push(record);
+      this.partial = "";
+    }
+    if (this.pending) {
+      records.push(this.finish(this.pending));
+      this.pending = null;
+    }
+    return records;
+  }
+
+  hasPending() {
+    return this.pending !== null || this.partial !== "";
+  }
+
+  consume(line) {
+    const header = parseLogcatLine(line);
+    const pending = this.pending;
+
+    if (!header) {
+      // "--------- beginning of main" separators carry no log entry
+      if (line.startsWith("--------- ")) return null;
+
+      // Body of a long-format entry, or a stray continuation line
+      if (pending) {
+        pending.messageLines.push(line);
+        pending.lines.push(line);
+        return null;
+      }
+
+      if (!line.trim()) return null;
+      this.pending = this.start({ format: "raw", message: line }, line);
+      return null;
+    }
+
+    if (pending && header.format !== "long" && sameHeader(pending, header)) {
+      pending.messageLines.push(header.message);
+      pending.lines.push(line);
+      return null;
+    }
+
+    this.pending = this.start(header, line);
+    return pending ? this.finish(pending) : null;
+  }
+
+  start(header, line) {
+    return {
+      format: header.format,
+      timestamp: header.timestamp || null,
+      level: header.level || null,
+      tag: header.tag || null,
+      pid: header.pid || null,
+      tid: header.tid || null,
+      messageLines: header.message === null ? [] : [header.message],
+      lines: [line],
+    };
+  }
+
+  finish(pending) {
+    const { messageLines, lines, ...record } = pending;
+
+    // Long format separates entries with a blank line
+    while (lines.length > 1 && !lines[lines.length - 1].trim()) {
+      lines.pop();
+      messageLines.pop();
+    }
+
+    return { ...record, message: messageLines.join("\n"), lines };
+  }
+}
@@ -0,0 +1,58 @@
+import { EventEmitter } from "events";
+
+export class PidTracker extends EventEmitter {
+  constructor(deviceManager, packageName, deviceId = null, intervalMs = 1000) {
+    super();
+    this.deviceManager = deviceManager;
+    this.packageName = packageName;
+    this.deviceId = deviceId;
+    this.intervalMs = intervalMs;
+    this.pid = null;
+    this.timer = null;
+    this.polling = false;
+    this.missed = false;
+  }
+
+  start(initialPid = null) {
+    this.pid = initialPid;
+    this.missed = false;
+    this.stop();
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    // Skip a tick rather than stacking adb calls on a slow device
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const pid = await this.deviceManager.getPackagePid(
+        this.packageName,
+        this.deviceId
+      );
+      if (!this.timer) return;
+      // pidof also comes back empty when adb hiccups, so a PID is only given
+      // up after two polls in a row miss it
+      if (!pid && this.pid && !this.missed) {
+        this.missed = true;
+        return;
+      }
+      this.missed = false;
+      if (pid === this.pid) return;
+
+      const previous = this.pid;
+      this.pid = pid;
+      if (previous) this.emit("died", previous);
+      if (pid) this.emit("started", pid);
+    } finally {
+      this.polling = false;
+    }
+  }
+}
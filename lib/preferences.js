@@ -1,10 +1,129 @@
 import storage from "node-persist";
 import { join } from "path";
-import { mkdir } from "fs/promises";
+import { mkdir, rm } from "fs/promises";
+import { LogFilter } from "./filters.js";
+import { normalizeAlertRule } from "./alerts.js";
+import { list, string, boolean, level } from "./project-config.js";
+
+// Keys worth moving between machines; the scan cache and session index
+// point at local files
+export const PORTABLE_KEYS = [
+  "recentApps",
+  "preferredLogLevel",
+  "customScanPaths",
+  "scanSettings",
+  "lastUsedPackage",
+  "lastDevice",
+  "filterPresets",
+  "lastFilterPreset",
+  "recordSessions",
+  "wirelessDevices",
+  "alertRules",
+];
+
+function object(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("expected an object");
+  }
+  return value;
+}
+
+const listOf = (check) => (value) => {
+  if (!Array.isArray(value)) throw new Error("expected a list");
+  return value.map(check);
+};
+
+const mapOf = (check) => (value) =>
+  Object.fromEntries(
+    Object.entries(object(value)).map(([name, entry]) => [name, check(entry)])
+  );
+
+// Imports are checked like project config settings before anything is
+// written
+const VALIDATORS = {
+  recentApps: listOf((app) => {
+    string(object(app).packageName);
+    return app;
+  }),
+  preferredLogLevel: level,
+  customScanPaths: list,
+  scanSettings: (value) => {
+    const { maxDepth, roots, skipDirs } = object(value);
+    if (
+      maxDepth !== undefined &&
+      !(Number.isInteger(maxDepth) && maxDepth >= 0)
+    ) {
+      throw new Error("maxDepth must be a whole number");
+    }
+    if (roots !== undefined) list(roots);
+    if (skipDirs !== undefined) list(skipDirs);
+    return value;
+  },
+  lastUsedPackage: string,
+  lastDevice: string,
+  filterPresets: mapOf((spec) => {
+    new LogFilter(spec);
+    return spec;
+  }),
+  lastFilterPreset: string,
+  recordSessions: boolean,
+  wirelessDevices: listOf((device) => {
+    string(object(device).endpoint);
+    return device;
+  }),
+  alertRules: mapOf(normalizeAlertRule),
+};
+
+// Migrations take the stored values at version n - 1 and return them at
+// version n. Add one here whenever a stored key changes shape.
+const MIGRATIONS = [
+  {
+    version: 1,
+    migrate: (prefs) => ({
+      ...prefs,
+      // Values of the wrong shape are left for the import's validators
+      recentApps: Array.isArray(prefs.recentApps || [])
+        ? (prefs.recentApps || []).filter((app) => app?.packageName)
+        : prefs.recentApps,
+      customScanPaths: Array.isArray(prefs.customScanPaths || [])
+        ? [
+            ...new Set(
+              (prefs.customScanPaths || []).map((path) =>
+                typeof path === "string" ? path.trim() : path
+              )
+            ),
+          ].filter((path) => path !== "")
+        : prefs.customScanPaths,
+    }),
+  },
+];
+
+// Lists of records merged on an import, keyed by the field that identifies
+// an entry; the imported entry wins
+const MERGE_KEYS = {
+  recentApps: "packageName",
+  wirelessDevices: "endpoint",
+};
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function migratePreferences(prefs, fromVersion) {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Preferences use schema version ${fromVersion}, newer than this version of adb-logger supports (${SCHEMA_VERSION})`
+    );
+  }
+  return MIGRATIONS.filter(({ version }) => version > fromVersion).reduce(
+    (current, { migrate }) => migrate(current),
+    prefs
+  );
+}
 
 export class PreferencesManager {
   constructor() {
     this.storageDir = join(process.env.HOME, ".adb-logger-prefs");
+    // node-persist ignores dot-entries, so recordings can live alongside it
+    this.sessionsDir = join(this.storageDir, ".sessions");
     this.initialized = false;
   }
 
@@ -20,15 +139,32 @@ export class PreferencesManager {
         encoding: "utf8",
         logging: false,
       });
-      this.initialized = true;
     } catch (error) {
       throw new Error(`Failed to initialize storage: ${error.message}`);
     }
+    this.initialized = true;
+    await this.migrate();
+  }
+
+  async migrate() {
+    const version = (await storage.getItem("schemaVersion")) || 0;
+    if (version === SCHEMA_VERSION) return;
+
+    const stored = {};
+    for (const key of await storage.keys()) {
+      stored[key] = await storage.getItem(key);
+    }
+    const migrated = migratePreferences(stored, version);
+    for (const [key, value] of Object.entries(migrated)) {
+      if (value === undefined) await storage.removeItem(key);
+      else await storage.setItem(key, value);
+    }
+    await storage.setItem("schemaVersion", SCHEMA_VERSION);
   }
 
   async get(key, defaultValue = null) {
     await this.initialize();
-    return (await storage.getItem(key)) || defaultValue;
+    return (await storage.getItem(key)) ?? defaultValue;
   }
 
   async set(key, value) {
@@ -49,6 +185,15 @@ export class PreferencesManager {
     await this.set("recentApps", updated);
   }
 
+  async removeRecentApp(packageName) {
+    const recentApps = await this.getRecentApps();
+    const remaining = recentApps.filter(
+      (app) => app.packageName !== packageName
+    );
+    await this.set("recentApps", remaining);
+    return remaining.length < recentApps.length;
+  }
+
   async getPreferredLogLevel() {
     return await this.get("preferredLogLevel", "I");
   }
@@ -65,6 +210,50 @@ export class PreferencesManager {
     await this.set("customScanPaths", paths);
   }
 
+  async removeCustomScanPaths(paths) {
+    const current = await this.getCustomScanPaths();
+    await this.set(
+      "customScanPaths",
+      current.filter((path) => !paths.includes(path))
+    );
+    return current.filter((path) => paths.includes(path));
+  }
+
+  async getWirelessDevices() {
+    return await this.get("wirelessDevices", []);
+  }
+
+  async addWirelessDevice(device) {
+    const devices = await this.getWirelessDevices();
+    await this.set("wirelessDevices", [
+      device,
+      ...devices.filter((known) => known.endpoint !== device.endpoint),
+    ]);
+  }
+
+  async removeWirelessDevice(endpoint) {
+    const devices = await this.getWirelessDevices();
+    const remaining = devices.filter((known) => known.endpoint !== endpoint);
+    await this.set("wirelessDevices", remaining);
+    return remaining.length < devices.length;
+  }
+
+  async getScanSettings() {
+    return await this.get("scanSettings", {});
+  }
+
+  async setScanSettings(settings) {
+    await this.set("scanSettings", settings);
+  }
+
+  async getProjectCache() {
+    return await this.get("projectCache");
+  }
+
+  async setProjectCache(cache) {
+    await this.set("projectCache", cache);
+  }
+
   async getLastUsedPackage() {
     return await this.get("lastUsedPackage");
   }
@@ -73,8 +262,153 @@ export class PreferencesManager {
     await this.set("lastUsedPackage", packageName);
   }
 
+  async getLastDevice() {
+    return await this.get("lastDevice");
+  }
+
+  async setLastDevice(deviceId) {
+    await this.set("lastDevice", deviceId);
+  }
+
+  async getFilterPresets() {
+    return await this.get("filterPresets", {});
+  }
+
+  async saveFilterPreset(name, spec) {
+    const presets = await this.getFilterPresets();
+    await this.set("filterPresets", { ...presets, [name]: spec });
+  }
+
+  async deleteFilterPreset(name) {
+    const { [name]: removed, ...presets } = await this.getFilterPresets();
+    await this.set("filterPresets", presets);
+    return Boolean(removed);
+  }
+
+  async getAlertRules() {
+    return await this.get("alertRules", {});
+  }
+
+  async saveAlertRule(name, rule) {
+    const rules = await this.getAlertRules();
+    await this.set("alertRules", { ...rules, [name]: rule });
+  }
+
+  async deleteAlertRule(name) {
+    const { [name]: removed, ...rules } = await this.getAlertRules();
+    await this.set("alertRules", rules);
+    return Boolean(removed);
+  }
+
+  async getLastFilterPreset() {
+    return await this.get("lastFilterPreset");
+  }
+
+  async setLastFilterPreset(name) {
+    await this.set("lastFilterPreset", name);
+  }
+
+  async getRecordSessions() {
+    return await this.get("recordSessions", false);
+  }
+
+  async setRecordSessions(enabled) {
+    await this.set("recordSessions", enabled);
+  }
+
+  async getSessions() {
+    return await this.get("sessions", []);
+  }
+
+  // Returns the entries pushed out of the retained history
+  async addSession(session, limit = 50) {
+    const sessions = [session, ...(await this.getSessions())];
+    await this.set("sessions", sessions.slice(0, limit));
+    return sessions.slice(limit);
+  }
+
+  async updateSession(id, changes) {
+    const sessions = await this.getSessions();
+    await this.set(
+      "sessions",
+      sessions.map((session) =>
+        session.id === id ? { ...session, ...changes } : session
+      )
+    );
+  }
+
+  async removeSession(id) {
+    const sessions = await this.getSessions();
+    await this.set(
+      "sessions",
+      sessions.filter((session) => session.id !== id)
+    );
+  }
+
+  async exportAll() {
+    const preferences = {};
+    for (const key of PORTABLE_KEYS) {
+      const value = await this.get(key);
+      if (value !== null) preferences[key] = value;
+    }
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      preferences,
+    };
+  }
+
+  // Replaces the imported keys, or with `merge` combines lists and presets
+  // with what is already stored
+  async importAll(data, { merge = false } = {}) {
+    if (!data || typeof data.preferences !== "object") {
+      throw new Error("Not an adb-logger preferences export");
+    }
+    const imported = migratePreferences(
+      data.preferences,
+      data.schemaVersion || 0
+    );
+
+    const keys = PORTABLE_KEYS.filter((key) => imported[key] !== undefined);
+    for (const key of keys) {
+      try {
+        imported[key] = VALIDATORS[key](imported[key]);
+      } catch (error) {
+        throw new Error(`Invalid "${key}" in the import (${error.message})`);
+      }
+    }
+    for (const key of keys) {
+      let value = imported[key];
+      const current = await this.get(key);
+      if (merge && current !== null) {
+        if (MERGE_KEYS[key]) {
+          const field = MERGE_KEYS[key];
+          value = [...value, ...current].filter(
+            (entry, index, all) =>
+              all.findIndex((other) => other[field] === entry[field]) === index
+          );
+          if (key === "recentApps") value = value.slice(0, 10);
+        } else if (Array.isArray(value)) {
+          value = [...new Set([...current, ...value])];
+        } else if (typeof value === "object") {
+          value = { ...current, ...value };
+        }
+      }
+      await this.set(key, value);
+    }
+    return keys;
+  }
+
+  // Recordings kept in the sessions folder go too; returns the recordings
+  // written elsewhere, which are left alone
   async clearAll() {
     await this.initialize();
+    const kept = (await this.getSessions())
+      .flatMap((session) => session.files || [])
+      .filter((file) => !file.startsWith(`${this.sessionsDir}/`));
+    await rm(this.sessionsDir, { recursive: true, force: true });
     await storage.clear();
+    await storage.setItem("schemaVersion", SCHEMA_VERSION);
+    return kept;
   }
 }
@@ -0,0 +1,203 @@
+import { readFile, access } from "fs/promises";
+import { dirname, join, resolve } from "path";
+import { homedir } from "os";
+import { pathToFileURL } from "url";
+import { LogFilter } from "./filters.js";
+import { LOG_LEVEL_ORDER, parseBuffers } from "./logcat-parser.js";
+import { parseSize, parseDuration } from "./units.js";
+import { parseAlertRule, normalizeAlertRule } from "./alerts.js";
+
+export const CONFIG_FILES = [
+  ".adbloggerrc",
+  ".adbloggerrc.json",
+  "adb-logger.config.js",
+];
+
+const isString = (value) => typeof value === "string" && value.trim() !== "";
+
+// The validators are shared with preference imports
+export function list(value) {
+  const items = [].concat(value);
+  if (!items.every(isString)) throw new Error("expected a string or a list");
+  return items;
+}
+
+export function string(value) {
+  if (!isString(value)) throw new Error("expected a string");
+  return value;
+}
+
+export function boolean(value) {
+  if (typeof value !== "boolean") throw new Error("expected true or false");
+  return value;
+}
+
+export function level(value) {
+  const upper = string(value).toUpperCase();
+  if (!LOG_LEVEL_ORDER.includes(upper)) {
+    throw new Error(`expected one of ${LOG_LEVEL_ORDER.join(", ")}`);
+  }
+  return upper;
+}
+
+// Each setting shares its name with the `watch` option it defaults
+const SETTINGS = {
+  package: list,
+  device: string,
+  level,
+  tag: list,
+  excludeTag: list,
+  grep: list,
+  grepExclude: list,
+  tagLevels: string,
+  preset: string,
+  buffer: (value) => list(value).flatMap(parseBuffers),
+  follow: boolean,
+  clearLogcat: boolean,
+  launch: boolean,
+  restart: boolean,
+  clearData: boolean,
+  record: (value, dir) =>
+    typeof value === "boolean" ? value : resolve(dir, string(value)),
+  rotateSize: (value) => (typeof value === "number" ? value : parseSize(value)),
+  rotateInterval: (value) =>
+    typeof value === "number" ? value * 1000 : parseDuration(value),
+  gzip: boolean,
+  append: boolean,
+  web: (value) => {
+    if (typeof value === "boolean") return value;
+    if (!Number.isInteger(value) || value < 0 || value > 65535) {
+      throw new Error("expected true or a port number");
+    }
+    return value;
+  },
+  webHost: string,
+  reconnect: boolean,
+  reconnectTimeout: (value) =>
+    typeof value === "number" ? value * 1000 : parseDuration(value),
+  maxReconnects: (value) => {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error("expected a whole number");
+    }
+    return value;
+  },
+  stats: (value) =>
+    typeof value === "boolean"
+      ? value
+      : typeof value === "number"
+      ? value * 1000
+      : parseDuration(value),
+  summary: boolean,
+  alert: (value) =>
+    []
+      .concat(value)
+      .map((rule) =>
+        typeof rule === "string"
+          ? parseAlertRule(rule)
+          : normalizeAlertRule(rule)
+      ),
+  summaryJson: (value, dir) =>
+    value === "-" ? value : resolve(dir, string(value)),
+  sourceMap: (value, dir) => resolve(dir, string(value)),
+  mapping: (value, dir) => resolve(dir, string(value)),
+};
+
+export const SETTING_NAMES = Object.keys(SETTINGS);
+
+async function exists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Looks in the folder and, when walking up, its parents short of the home
+// folder, so running from android/ or src/ still finds the project's file
+export async function findConfigFile(startDir, { walkUp = true } = {}) {
+  const home = homedir();
+  let dir = resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const file = join(dir, name);
+      if (await exists(file)) return file;
+    }
+
+    const parent = dirname(dir);
+    if (!walkUp || parent === dir || parent === home) return null;
+    dir = parent;
+  }
+}
+
+async function readConfig(file) {
+  if (file.endsWith(".js")) {
+    const module = await import(pathToFileURL(file).href);
+    return module.default;
+  }
+  return JSON.parse(await readFile(file, "utf8"));
+}
+
+export async function loadProjectConfig(file) {
+  let raw;
+  try {
+    raw = await readConfig(file);
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${file} must contain an object of settings`);
+  }
+
+  const dir = dirname(file);
+  // Paths are relative to the config file and the project is its folder
+  const values = { project: dir };
+  let presets = {};
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === "presets") {
+      presets = readPresets(file, value);
+      continue;
+    }
+    if (!SETTINGS[key]) {
+      throw new Error(`${file}: unknown setting "${key}"`);
+    }
+    try {
+      values[key] = SETTINGS[key](value, dir);
+    } catch (error) {
+      throw new Error(`${file}: invalid "${key}" (${error.message})`);
+    }
+  }
+
+  return { file, values, presets };
+}
+
+function readPresets(file, presets) {
+  if (!presets || typeof presets !== "object" || Array.isArray(presets)) {
+    throw new Error(`${file}: "presets" must map names to filters`);
+  }
+  for (const [name, spec] of Object.entries(presets)) {
+    try {
+      new LogFilter(spec);
+    } catch (error) {
+      throw new Error(`${file}: invalid preset "${name}" (${error.message})`);
+    }
+  }
+  return presets;
+}
+
+// Layers are in priority order; each value comes from the first layer that
+// sets it
+export function layerSettings(layers) {
+  const values = {};
+  const origins = {};
+  for (const { source, values: layerValues } of layers) {
+    for (const [key, value] of Object.entries(layerValues)) {
+      if (value === undefined || key in values) continue;
+      values[key] = value;
+      origins[key] = source;
+    }
+  }
+  return { values, origins };
+}
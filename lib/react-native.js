@@ -0,0 +1,147 @@
+import { readdir, stat } from "fs/promises";
+import { isAbsolute, join, relative } from "path";
+import chalk from "chalk";
+
+export const JS_TAG = "ReactNativeJS";
+
+// Hermes: "at foo (address at index.android.bundle:1:284731)"
+// JSC:    "foo@index.android.bundle:1:284731"
+const BUNDLE_FRAME =
+  /(address at )?((?:[^\s()@]*\/)?index\.android\.bundle):(\d+):(\d+)/g;
+
+const SOURCE_MAP_DIRS = [
+  ["generated", "sourcemaps", "react"],
+  ["intermediates", "sourcemaps", "react"],
+];
+
+// Newest bundle source map from the Gradle build, across all variants
+export async function findSourceMap(projectPath) {
+  const buildDir = join(projectPath, "android", "app", "build");
+  let newest = null;
+
+  for (const parts of SOURCE_MAP_DIRS) {
+    const dir = join(buildDir, ...parts);
+    let variants;
+    try {
+      variants = await readdir(dir);
+    } catch {
+      continue;
+    }
+
+    for (const variant of variants) {
+      for (const file of [
+        "index.android.bundle.map",
+        "index.android.bundle.packager.map",
+      ]) {
+        const path = join(dir, variant, file);
+        try {
+          const { mtimeMs } = await stat(path);
+          if (!newest || mtimeMs > newest.mtimeMs) newest = { path, mtimeMs };
+        } catch {
+          continue;
+        }
+      }
+    }
+  }
+
+  return newest ? newest.path : null;
+}
+
+export function hasBundleFrames(text) {
+  BUNDLE_FRAME.lastIndex = 0;
+  return BUNDLE_FRAME.test(text);
+}
+
+export function symbolicateText(text, sourceMap, projectPath = null) {
+  return text.replace(
+    BUNDLE_FRAME,
+    (frame, addressAt, bundle, line, column) => {
+      // Stack columns are 1-based, source map columns 0-based
+      const position = sourceMap.originalPositionFor(
+        Number(line),
+        Math.max(Number(column) - 1, 0)
+      );
+      if (!position || !position.source) return frame;
+
+      let source = position.source;
+      if (projectPath && isAbsolute(source)) {
+        const rel = relative(projectPath, source);
+        if (!rel.startsWith("..")) source = rel;
+      }
+      return `${source}:${position.line}:${position.column + 1}`;
+    }
+  );
+}
+
+const JS_LEVELS = {
+  V: "debug",
+  D: "debug",
+  I: "log",
+  W: "warn",
+  E: "error",
+  F: "error",
+};
+
+function isJsError(messageLines) {
+  return (
+    /^(\w*Error|Invariant Violation)\b/.test(messageLines[0]) ||
+    messageLines.some(
+      (line) =>
+        /This error is located at:/.test(line) || /^\s*at .+[:)]/.test(line)
+    )
+  );
+}
+
+// Splits a JS error message into its title, stack frames and component stack
+function parseJsError(messageLines) {
+  const error = { title: [], frames: [], components: [] };
+  let section = "title";
+
+  for (const line of messageLines) {
+    if (/This error is located at:/.test(line)) {
+      section = "components";
+    } else if (section !== "components" && /^\s*at /.test(line)) {
+      error.frames.push(line.trim());
+      section = "frames";
+    } else if (section === "components" && /^\s*in /.test(line)) {
+      error.components.push(line.trim());
+    } else if (section === "title" && line.trim()) {
+      error.title.push(line);
+    }
+  }
+
+  return error;
+}
+
+export function formatJsRecord(record, colorFn) {
+  const jsLevel = JS_LEVELS[record.level] || "log";
+  const badges = {
+    debug: chalk.bgGray.black(" JS debug "),
+    log: chalk.bgCyan.black(" JS log "),
+    warn: chalk.bgYellow.black(" JS warn "),
+    error: chalk.bgRed.white.bold(" JS error "),
+  };
+  const prefix = chalk.gray(
+    [record.timestamp, record.pid && `(${record.pid})`]
+      .filter(Boolean)
+      .join(" ")
+  );
+  const messageLines = record.message.split("\n");
+
+  if (jsLevel !== "error" || !isJsError(messageLines)) {
+    return `${prefix} ${badges[jsLevel]} ${colorFn(record.message)}`;
+  }
+
+  const error = parseJsError(messageLines);
+  const lines = [
+    `${prefix} ${badges.error} ${chalk.red.bold(error.title.join("\n"))}`,
+  ];
+  error.frames.forEach((frame) => lines.push(chalk.red(`    ${frame}`)));
+  if (error.components.length > 0) {
+    lines.push(chalk.gray("  Component stack:"));
+    error.components.forEach((component) =>
+      lines.push(chalk.gray(`    ${component}`))
+    );
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,168 @@
+import { createReadStream, createWriteStream } from "fs";
+import { mkdir, readdir, stat, unlink } from "fs/promises";
+import { pipeline } from "stream/promises";
+import { createGzip, createGunzip } from "zlib";
+import { basename, dirname, extname, join } from "path";
+
+export class SessionRecorder {
+  constructor(
+    filePath,
+    { maxSize = null, maxAge = null, gzip = false, append = false } = {}
+  ) {
+    this.filePath = filePath;
+    this.append = append;
+    this.maxSize = maxSize;
+    this.maxAge = maxAge;
+    this.gzip = gzip;
+    this.files = [];
+    this.pending = new Set();
+    this.stream = null;
+    this.part = 0;
+  }
+
+  // Mixing two runs in one file would throw off rotation and the session
+  // index, so an existing recording is only added to when appending. That
+  // covers every part of it, gzipped or not.
+  async open() {
+    await mkdir(dirname(this.filePath), { recursive: true });
+    const parts = await this.existingParts();
+    if (parts.length > 0 && !this.append) {
+      throw new Error(
+        `${parts[0].path} already exists (pass --append to add to it)`
+      );
+    }
+    if (parts.length === 0) {
+      this.openPart();
+      return;
+    }
+
+    // The last part is added to while it's still plain text; once it has
+    // been gzipped, new lines go to the next part
+    const last = Math.max(...parts.map((part) => part.part));
+    const gzipped = parts.some((part) => part.part === last && part.gzip);
+    if (gzipped) {
+      this.part = last + 1;
+      this.openPart();
+    } else {
+      this.part = last;
+      this.openPart((await stat(this.partPath(last))).size, true);
+    }
+  }
+
+  async existingParts() {
+    const ext = extname(this.filePath);
+    const base = basename(this.filePath, ext);
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const pattern = new RegExp(
+      `^${escape(base)}(?:\\.(\\d+))?${escape(ext)}(\\.gz)?$`
+    );
+    const names = await readdir(dirname(this.filePath));
+    return names
+      .map((name) => [name, pattern.exec(name)])
+      .filter(([, match]) => match)
+      .map(([name, match]) => ({
+        path: join(dirname(this.filePath), name),
+        part: Number(match[1] || 0),
+        gzip: Boolean(match[2]),
+      }))
+      .sort((a, b) => a.part - b.part);
+  }
+
+  // The first part keeps the requested name; rotated parts get a counter
+  // before the extension (session.log, session.1.log, session.2.log, ...)
+  partPath(part) {
+    if (part === 0) return this.filePath;
+    const ext = extname(this.filePath);
+    const base = basename(this.filePath, ext);
+    return join(dirname(this.filePath), `${base}.${part}${ext}`);
+  }
+
+  openPart(bytes = 0, append = false) {
+    const path = this.partPath(this.part);
+    this.stream = createWriteStream(path, { flags: append ? "a" : "wx" });
+    this.stream.on("error", (error) => {
+      console.error(`Recording error: ${error.message}`);
+    });
+    this.currentPath = path;
+    this.files.push(path);
+    this.bytes = bytes;
+    this.openedAt = Date.now();
+  }
+
+  write(record) {
+    if (!this.stream) return;
+
+    const text = `${record.lines.join("\n")}\n`;
+    this.stream.write(text);
+    this.bytes += Buffer.byteLength(text);
+
+    const tooBig = this.maxSize && this.bytes >= this.maxSize;
+    const tooOld = this.maxAge && Date.now() - this.openedAt >= this.maxAge;
+    if (tooBig || tooOld) this.rotate();
+  }
+
+  rotate() {
+    const stream = this.stream;
+    const path = this.currentPath;
+    this.part += 1;
+    this.openPart();
+    this.track(this.finishPart(stream, path));
+  }
+
+  async finishPart(stream, path) {
+    await new Promise((resolve) => stream.end(resolve));
+    if (!this.gzip) return;
+
+    await pipeline(
+      createReadStream(path),
+      createGzip(),
+      // Never over an earlier run's part
+      createWriteStream(`${path}.gz`, { flags: "wx" })
+    );
+    await unlink(path);
+    this.files = this.files.map((file) =>
+      file === path ? `${path}.gz` : file
+    );
+  }
+
+  track(promise) {
+    const tracked = promise
+      .catch((error) => {
+        console.error(`Recording error: ${error.message}`);
+      })
+      .finally(() => this.pending.delete(tracked));
+    this.pending.add(tracked);
+  }
+
+  // Only rotated parts are compressed; the last part stays plain text
+  async close() {
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      await new Promise((resolve) => stream.end(resolve));
+    }
+    await Promise.all(this.pending);
+    return this.files;
+  }
+}
+
+export async function readRecording(file, output) {
+  const input = createReadStream(file);
+  if (file.endsWith(".gz")) {
+    await pipeline(input, createGunzip(), output, { end: false });
+  } else {
+    await pipeline(input, output, { end: false });
+  }
+}
+
+export async function recordingSize(files) {
+  let total = 0;
+  for (const file of files) {
+    try {
+      total += (await stat(file)).size;
+    } catch {
+      continue;
+    }
+  }
+  return total;
+}
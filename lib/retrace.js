@@ -0,0 +1,213 @@
+import { createReadStream } from "fs";
+import { readdir, stat } from "fs/promises";
+import { join } from "path";
+import { createInterface } from "readline";
+
+// at a.b.c.d(Unknown Source:12) / at a.b.c.d(SourceFile) / at a.b.c.d(:12)
+const FRAME = /^(.*\bat )([\w$.]+)\.([\w$<>-]+)\(([^:)]*)(?::(\d+))?\)(.*)$/;
+// java.lang.IllegalStateException: boom / Caused by: a.b.c: boom
+const EXCEPTION =
+  /^(.*?(?:Caused by: |Suppressed: )?)([\w$]+(?:\.[\w$]+)+)(:.*|$)/;
+
+function simpleSourceFile(className) {
+  const outer = className.split("$")[0];
+  return `${outer.slice(outer.lastIndexOf(".") + 1)}.java`;
+}
+
+export class Retracer {
+  constructor() {
+    // obfuscated class name -> { name, sourceFile, methods: Map }
+    this.classes = new Map();
+  }
+
+  static async load(path) {
+    const retracer = new Retracer();
+    const lines = createInterface({
+      input: createReadStream(path),
+      crlfDelay: Infinity,
+    });
+
+    let current = null;
+    for await (const line of lines) {
+      current = retracer.parseLine(line, current);
+    }
+    return retracer;
+  }
+
+  parseLine(line, current) {
+    if (!line.trim()) return current;
+
+    if (line.startsWith("#")) {
+      // R8 records the real file name as JSON metadata after the class line
+      const sourceFile =
+        /"id"\s*:\s*"sourceFile".*"fileName"\s*:\s*"([^"]+)"/.exec(line);
+      if (current && sourceFile) current.sourceFile = sourceFile[1];
+      return current;
+    }
+
+    const classMatch = /^(\S+) -> (\S+):$/.exec(line);
+    if (classMatch) {
+      const entry = {
+        name: classMatch[1],
+        sourceFile: simpleSourceFile(classMatch[1]),
+        methods: new Map(),
+      };
+      this.classes.set(classMatch[2], entry);
+      return entry;
+    }
+
+    // 12:15:void foo(int):30:33 -> d  /  void bar() -> e
+    const methodMatch =
+      /^\s+(?:(\d+):(\d+):)?[^\s(]+\s+([^\s(]+)\([^)]*\)(?::(\d+)(?::(\d+))?)?\s+->\s+(\S+)$/.exec(
+        line
+      );
+    if (current && methodMatch) {
+      const [, start, end, name, originalStart, originalEnd, obfuscated] =
+        methodMatch;
+      const methods = current.methods.get(obfuscated) || [];
+      methods.push({
+        start: start ? Number(start) : null,
+        end: end ? Number(end) : null,
+        name,
+        originalStart: originalStart ? Number(originalStart) : null,
+        originalEnd: originalEnd ? Number(originalEnd) : null,
+      });
+      current.methods.set(obfuscated, methods);
+    }
+
+    return current;
+  }
+
+  // Inlined methods share a line range, so one frame can expand into several
+  // (innermost first, as R8 lists them)
+  retraceFrame(className, methodName, line) {
+    const entry = this.classes.get(className);
+    if (!entry) return null;
+
+    const candidates = entry.methods.get(methodName) || [];
+    const lineNumber = line ? Number(line) : null;
+    let matches = candidates.filter(
+      (method) =>
+        lineNumber !== null &&
+        method.start !== null &&
+        lineNumber >= method.start &&
+        lineNumber <= method.end
+    );
+    if (matches.length === 0) {
+      matches = candidates.filter((method) => method.start === null);
+    }
+    if (matches.length === 0 && candidates.length > 0) {
+      matches = [candidates[0]];
+    }
+
+    if (matches.length === 0) {
+      return [
+        {
+          className: entry.name,
+          methodName,
+          sourceFile: entry.sourceFile,
+          line: null,
+        },
+      ];
+    }
+
+    return matches.map((method) => {
+      let originalLine = method.originalStart;
+      if (
+        lineNumber !== null &&
+        method.start !== null &&
+        method.originalEnd !== null &&
+        method.originalEnd - method.originalStart === method.end - method.start
+      ) {
+        originalLine = method.originalStart + (lineNumber - method.start);
+      }
+      const [owner, name] = method.name.includes(".")
+        ? [
+            method.name.slice(0, method.name.lastIndexOf(".")),
+            method.name.slice(method.name.lastIndexOf(".") + 1),
+          ]
+        : [entry.name, method.name];
+
+      return {
+        className: owner,
+        methodName: name,
+        sourceFile:
+          owner === entry.name ? entry.sourceFile : simpleSourceFile(owner),
+        line: originalLine,
+      };
+    });
+  }
+
+  // Returns the retraced line(s) for one line of text
+  retraceLine(text) {
+    const frame = FRAME.exec(text);
+    if (frame) {
+      const [, prefix, className, methodName, , line, suffix] = frame;
+      const frames = this.retraceFrame(className, methodName, line);
+      if (!frames) return [text];
+      return frames.map(
+        (original) =>
+          `${prefix}${original.className}.${original.methodName}(${
+            original.sourceFile
+          }${original.line ? `:${original.line}` : ""})${suffix}`
+      );
+    }
+
+    const exception = EXCEPTION.exec(text);
+    if (exception && this.classes.has(exception[2])) {
+      const [, prefix, className, rest] = exception;
+      return [`${prefix}${this.classes.get(className).name}${rest}`];
+    }
+
+    return [text];
+  }
+
+  retraceText(text) {
+    return text
+      .split("\n")
+      .flatMap((line) => this.retraceLine(line))
+      .join("\n");
+  }
+}
+
+// mapping.txt for the given variant, or the newest one of any variant
+export async function findMappingFile(projectPath, variant = null) {
+  const mappingDir = join(
+    projectPath,
+    "android",
+    "app",
+    "build",
+    "outputs",
+    "mapping"
+  );
+  let variants;
+  try {
+    variants = await readdir(mappingDir);
+  } catch {
+    return null;
+  }
+
+  // Labels can list several variants ("devDebug, devRelease")
+  const wanted = variant ? variant.toLowerCase().split(/,\s*/) : [];
+  let best = null;
+  for (const name of variants) {
+    const path = join(mappingDir, name, "mapping.txt");
+    try {
+      const { mtimeMs } = await stat(path);
+      const matches = wanted.some((prefix) =>
+        name.toLowerCase().startsWith(prefix)
+      );
+      if (
+        !best ||
+        (matches && !best.matches) ||
+        (matches === best.matches && mtimeMs > best.mtimeMs)
+      ) {
+        best = { path, mtimeMs, matches };
+      }
+    } catch {
+      continue;
+    }
+  }
+
+  return best ? best.path : null;
+}
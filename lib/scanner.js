@@ -1,6 +1,52 @@
 import { readdir, readFile, stat } from "fs/promises";
-import { join } from "path";
-import { parseString } from "xml2js";
+import { basename, join } from "path";
+import { parseStringPromise } from "xml2js";
+import { parseAndroidBuild, resolveVariants } from "./gradle.js";
+import { readExpoProject } from "./expo.js";
+import { CONFIG_FILES } from "./project-config.js";
+
+const EXPO_CONFIG_FILES = new Set([
+  "app.json",
+  "app.config.js",
+  "app.config.ts",
+  "eas.json",
+]);
+
+function abortError() {
+  const error = new Error("Project scan cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+// Runs `worker` over a queue that may grow while it drains, with at most
+// `concurrency` calls in flight
+function drain(queue, concurrency, worker, signal) {
+  return new Promise((resolve, reject) => {
+    let active = 0;
+    let failed = false;
+
+    const next = () => {
+      if (failed) return;
+      if (signal?.aborted) {
+        failed = true;
+        reject(abortError());
+        return;
+      }
+      while (active < concurrency && queue.length > 0) {
+        active++;
+        worker(queue.shift())
+          .catch(() => {})
+          .finally(() => {
+            active--;
+            next();
+          });
+      }
+      if (active === 0 && queue.length === 0) resolve();
+    };
+
+    next();
+  });
+}
 
 export class ProjectScanner {
   constructor() {
@@ -31,78 +77,163 @@ export class ProjectScanner {
       "android",
     ]);
     this.maxDepth = 5;
+    this.concurrency = 16;
   }
 
-  async scanProjects(customPaths = []) {
-    const allPaths = [...this.defaultPaths, ...customPaths];
-    const projects = [];
+  configure({ roots, maxDepth, skipDirs } = {}) {
+    if (roots && roots.length > 0) this.defaultPaths = roots;
+    if (Number.isInteger(maxDepth) && maxDepth >= 0) this.maxDepth = maxDepth;
+    if (skipDirs) skipDirs.forEach((dir) => this.skipDirs.add(dir));
+  }
 
-    for (const path of allPaths) {
-      try {
-        projects.push(...(await this.scanDirectory(path)));
-      } catch (error) {
-        console.warn(`Warning: Could not scan ${path}: ${error.message}`);
-      }
-    }
+  // Identifies the settings a cached scan was made with
+  signature(customPaths = []) {
+    return JSON.stringify({
+      roots: [...this.defaultPaths, ...customPaths],
+      maxDepth: this.maxDepth,
+      skipDirs: [...this.skipDirs].sort(),
+    });
+  }
 
-    return this.deduplicate(projects);
+  async scanProjects(customPaths = [], options = {}) {
+    return (await this.scan(customPaths, options)).projects;
   }
 
-  async scanDirectory(dirPath, depth = 0) {
-    if (depth > this.maxDepth) return [];
+  // Returns the projects found plus the mtime of every directory visited,
+  // which isFresh() later uses to tell whether a cached result still holds
+  async scan(customPaths = [], { signal } = {}) {
+    const found = [];
+    const directories = {};
+    const queue = [...this.defaultPaths, ...customPaths].map((path) => ({
+      path,
+      depth: 0,
+    }));
 
-    try {
-      const entries = await readdir(dirPath);
-      const projects = [];
+    await drain(
+      queue,
+      this.concurrency,
+      async ({ path, depth }) => {
+        const entries = await readdir(path, { withFileTypes: true });
+        directories[path] = (await stat(path)).mtimeMs;
 
-      for (const entry of entries) {
-        const fullPath = join(dirPath, entry);
+        const projects = await this.detectProject(path, entries);
+        if (projects.length > 0) {
+          found.push(...projects);
+          return;
+        }
 
-        try {
-          const stats = await stat(fullPath);
-          if (!stats.isDirectory()) continue;
-
-          const manifestPath = join(
-            fullPath,
-            "android",
-            "app",
-            "src",
-            "main",
-            "AndroidManifest.xml"
-          );
-          const packageInfo = await this.extractPackageInfo(manifestPath);
-
-          if (packageInfo) {
-            projects.push({
-              name: entry,
-              path: fullPath,
-              packageName: packageInfo.packageName,
-              appName: packageInfo.appName,
-            });
-          } else if (this.shouldScan(entry)) {
-            projects.push(...(await this.scanDirectory(fullPath, depth + 1)));
+        if (depth > this.maxDepth) return;
+        for (const entry of entries) {
+          if (entry.isDirectory() && this.shouldScan(entry.name)) {
+            queue.push({ path: join(path, entry.name), depth: depth + 1 });
           }
+        }
+      },
+      signal
+    );
+
+    // Workers finish in any order; keep the list stable between runs
+    found.sort((a, b) => a.path.localeCompare(b.path));
+    return { projects: this.deduplicate(found), directories };
+  }
+
+  async isFresh(directories, { signal } = {}) {
+    let fresh = true;
+    const queue = Object.entries(directories);
+
+    await drain(
+      queue,
+      this.concurrency,
+      async ([path, mtimeMs]) => {
+        if (!fresh) return;
+        try {
+          if ((await stat(path)).mtimeMs !== mtimeMs) fresh = false;
         } catch {
-          continue;
+          fresh = false;
         }
+      },
+      signal
+    );
+
+    return fresh;
+  }
+
+  async detectProject(dirPath, entries) {
+    const names = new Set(entries.map((entry) => entry.name));
+    const name = basename(dirPath);
+    const configFile = CONFIG_FILES.find((file) => names.has(file));
+    const config = configFile ? join(dirPath, configFile) : undefined;
+
+    if (names.has("android")) {
+      const variants = await this.extractProjectVariants(
+        join(dirPath, "android", "app")
+      );
+      if (variants.length > 0) {
+        return variants.map((variant) => ({
+          name,
+          path: dirPath,
+          packageName: variant.packageName,
+          appName: variant.appName,
+          variant: variant.variant,
+          config,
+        }));
       }
+    }
 
-      return projects;
-    } catch {
-      return [];
+    if ([...EXPO_CONFIG_FILES].some((file) => names.has(file))) {
+      // Managed Expo projects have no android folder until prebuild
+      const expoProject = await readExpoProject(dirPath);
+      if (expoProject) {
+        return expoProject.packages.map((variant) => ({
+          name,
+          path: dirPath,
+          packageName: variant.packageName,
+          appName: expoProject.name || "Unknown App",
+          variant: variant.variant,
+          expo: true,
+          config,
+        }));
+      }
+    }
+
+    return [];
+  }
+
+  async extractProjectVariants(appDir) {
+    const packageInfo = await this.extractPackageInfo(
+      join(appDir, "src", "main", "AndroidManifest.xml")
+    );
+    const appName = packageInfo?.appName || "Unknown App";
+
+    for (const buildFile of ["build.gradle.kts", "build.gradle"]) {
+      try {
+        const build = parseAndroidBuild(
+          await readFile(join(appDir, buildFile), "utf8")
+        );
+        if (!build) continue;
+
+        return resolveVariants(build, packageInfo?.packageName).map(
+          (variant) => ({ ...variant, appName })
+        );
+      } catch {
+        continue;
+      }
     }
+
+    if (!packageInfo?.packageName) return [];
+    return [{ packageName: packageInfo.packageName, variant: null, appName }];
   }
 
   async extractPackageInfo(manifestPath) {
     try {
       const content = await readFile(manifestPath, "utf8");
-      const result = await parseString(content);
+      const result = await parseStringPromise(content);
       const manifest = result.manifest;
 
-      if (!manifest?.$?.package) return null;
+      if (!manifest) return null;
 
       return {
-        packageName: manifest.$.package,
+        packageName: manifest.$?.package || null,
         appName:
           manifest.application?.[0]?.$?.["android:label"] ||
           manifest.application?.[0]?.$?.["android:name"] ||
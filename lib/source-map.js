@@ -0,0 +1,109 @@
+import { readFile } from "fs/promises";
+
+const BASE64 =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const BASE64_VALUES = new Map([...BASE64].map((char, index) => [char, index]));
+
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64_VALUES.get(char);
+    if (digit === undefined)
+      throw new Error(`Invalid mapping character ${char}`);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+// Decoder for version 3 source maps, enough to map bundle positions back to
+// sources without pulling in a dependency
+export class SourceMap {
+  constructor(map) {
+    if (map.sections) {
+      throw new Error("Indexed source maps are not supported");
+    }
+    this.sources = map.sources || [];
+    this.names = map.names || [];
+    this.lines = this.decode(map.mappings || "");
+  }
+
+  static async load(path) {
+    return new SourceMap(JSON.parse(await readFile(path, "utf8")));
+  }
+
+  decode(mappings) {
+    const lines = [];
+    let source = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+    let name = 0;
+
+    for (const line of mappings.split(";")) {
+      const segments = [];
+      let column = 0;
+
+      for (const segment of line.split(",")) {
+        if (!segment) continue;
+        const values = decodeVlq(segment);
+        column += values[0];
+        if (values.length < 4) continue;
+
+        source += values[1];
+        originalLine += values[2];
+        originalColumn += values[3];
+        if (values.length > 4) name += values[4];
+
+        segments.push({
+          column,
+          source,
+          line: originalLine,
+          originalColumn,
+          name: values.length > 4 ? name : null,
+        });
+      }
+
+      lines.push(segments);
+    }
+
+    return lines;
+  }
+
+  // Line is 1-based and column 0-based, as in stack traces and source maps
+  originalPositionFor(line, column) {
+    const segments = this.lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    // Closest segment starting at or before the column
+    let low = 0;
+    let high = segments.length - 1;
+    let found = null;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (segments[mid].column <= column) {
+        found = segments[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    if (!found) return null;
+
+    return {
+      source: this.sources[found.source],
+      line: found.line + 1,
+      column: found.originalColumn,
+      name: found.name === null ? null : this.names[found.name],
+    };
+  }
+}
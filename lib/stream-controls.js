@@ -0,0 +1,264 @@
+import { EventEmitter } from "events";
+import { emitKeypressEvents } from "readline";
+import chalk from "chalk";
+
+const ANSI_PATTERN = /(\x1b\[[0-9;]*m)/;
+const CLEAR_LINE = "\r\x1b[2K";
+const MAX_BUFFERED = 5000;
+
+export const KEY_HELP = [
+  ["space / p", "pause or resume (output is buffered while paused)"],
+  ["+ / -", "raise or lower the minimum level"],
+  ["1-6", "set the level directly (V D I W E F)"],
+  ["t", "hide or show a tag"],
+  ["f", "turn all filters off or back on"],
+  ["/", "highlight matches of a search (empty to clear)"],
+  ["m", "insert a marker line"],
+  ["s", "print log statistics"],
+  ["l", "launch the app"],
+  ["r", "force-stop and relaunch the app"],
+  ["k", "force-stop the app"],
+  ["D", "clear the app's data and relaunch (asks first)"],
+  ["x", "clear the device's logcat buffer"],
+  ["c", "clear the screen"],
+  ["?", "show this help"],
+  ["q / Ctrl+C", "stop monitoring"],
+];
+
+// Compiles what was typed after "/" as a regex, or as plain text when it
+// isn't valid regex syntax
+export function compileSearch(text) {
+  if (!text) return null;
+  try {
+    return new RegExp(text, "gi");
+  } catch {
+    return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi");
+  }
+}
+
+// Only the text between colour codes is searched, so a match can never
+// split an escape sequence
+export function highlightMatches(text, pattern) {
+  let count = 0;
+  const output = text
+    .split(ANSI_PATTERN)
+    .map((part, index) => {
+      if (index % 2 === 1) return part;
+      return part.replace(pattern, (match) => {
+        if (!match) return match;
+        count += 1;
+        return chalk.inverse(match);
+      });
+    })
+    .join("");
+  return { output, count };
+}
+
+function visibleLength(text) {
+  return text
+    .split(ANSI_PATTERN)
+    .reduce(
+      (length, part, index) =>
+        index % 2 === 1 ? length : length + part.length,
+      0
+    );
+}
+
+export class StreamControls extends EventEmitter {
+  constructor(input = process.stdin, output = process.stdout) {
+    super();
+    this.input = input;
+    this.output = output;
+    this.status = () => "";
+    this.paused = false;
+    this.buffer = [];
+    this.dropped = 0;
+    this.prompt = null;
+    this.active = false;
+    this.onKeypress = (text, key) => this.handleKey(text, key || {});
+    this.onResize = () => this.render();
+  }
+
+  static isSupported(input = process.stdin, output = process.stdout) {
+    return Boolean(input.isTTY && output.isTTY && input.setRawMode);
+  }
+
+  start(status) {
+    if (status) this.status = status;
+    emitKeypressEvents(this.input);
+    this.input.setRawMode(true);
+    this.input.on("keypress", this.onKeypress);
+    this.input.resume();
+    this.output.on("resize", this.onResize);
+    this.active = true;
+    this.render();
+  }
+
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    this.resume();
+    this.output.write(CLEAR_LINE);
+    this.input.off("keypress", this.onKeypress);
+    this.output.off("resize", this.onResize);
+    this.input.setRawMode(false);
+    this.input.pause();
+  }
+
+  print(text) {
+    if (this.paused) {
+      this.buffer.push(text);
+      if (this.buffer.length > MAX_BUFFERED) {
+        this.buffer.shift();
+        this.dropped += 1;
+      }
+      this.render();
+      return;
+    }
+    this.output.write(`${CLEAR_LINE}${text}\n`);
+    this.render();
+  }
+
+  pause() {
+    this.paused = true;
+    this.render();
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    if (this.dropped > 0) {
+      this.output.write(
+        `${CLEAR_LINE}${chalk.yellow(
+          `… ${this.dropped} buffered lines dropped while paused`
+        )}\n`
+      );
+    }
+    for (const text of this.buffer) {
+      this.output.write(`${CLEAR_LINE}${text}\n`);
+    }
+    this.buffer = [];
+    this.dropped = 0;
+    this.render();
+  }
+
+  clear() {
+    this.output.write("\x1b[2J\x1b[3J\x1b[H");
+    this.render();
+  }
+
+  // The footer is redrawn on the last line after every write
+  render() {
+    if (!this.active) return;
+    const width = this.output.columns || 80;
+
+    let text;
+    if (this.prompt) {
+      text = `${this.prompt.label}${this.prompt.value}`;
+    } else {
+      const state = this.paused
+        ? `⏸ PAUSED (${this.buffer.length} buffered)`
+        : "▶ LIVE";
+      text = [state, this.status(), "? help"].filter(Boolean).join(" │ ");
+    }
+    if (visibleLength(text) > width - 1) {
+      text = `${text.slice(0, width - 2)}…`;
+    }
+    this.output.write(`${CLEAR_LINE}${chalk.inverse(text)}`);
+  }
+
+  ask(name, label) {
+    this.prompt = { name, label, value: "" };
+    this.render();
+  }
+
+  handleKey(text, key) {
+    if (key.ctrl && key.name === "c") {
+      this.emit("quit");
+      return;
+    }
+
+    if (this.prompt) {
+      this.handlePromptKey(text, key);
+      return;
+    }
+
+    switch (key.name === "space" ? " " : text) {
+      case " ":
+      case "p":
+        if (this.paused) this.resume();
+        else this.pause();
+        break;
+      case "+":
+      case "=":
+        this.emit("level", 1);
+        break;
+      case "-":
+        this.emit("level", -1);
+        break;
+      case "1":
+      case "2":
+      case "3":
+      case "4":
+      case "5":
+      case "6":
+        this.emit("setLevel", Number(text) - 1);
+        break;
+      case "t":
+        this.ask("tag", "Hide or show tag: ");
+        break;
+      case "f":
+        this.emit("filters");
+        break;
+      case "/":
+        this.ask("search", "/");
+        break;
+      case "m":
+        this.emit("marker");
+        break;
+      case "s":
+        this.emit("stats");
+        break;
+      case "l":
+        this.emit("app", "launch");
+        break;
+      case "r":
+        this.emit("app", "restart");
+        break;
+      case "k":
+        this.emit("app", "stop");
+        break;
+      case "D":
+        this.ask("clearData", "Clear the app's data and relaunch? (y/N) ");
+        break;
+      case "x":
+        this.emit("app", "clearLogcat");
+        break;
+      case "c":
+        this.clear();
+        break;
+      case "?":
+      case "h":
+        this.emit("help");
+        break;
+      case "q":
+        this.emit("quit");
+        break;
+    }
+  }
+
+  handlePromptKey(text, key) {
+    const prompt = this.prompt;
+    if (key.name === "escape") {
+      this.prompt = null;
+    } else if (key.name === "return" || key.name === "enter") {
+      this.prompt = null;
+      this.emit(prompt.name, prompt.value.trim());
+    } else if (key.name === "backspace") {
+      prompt.value = prompt.value.slice(0, -1);
+    } else if (text && !key.ctrl && !key.meta && text >= " ") {
+      prompt.value += text;
+    }
+    this.render();
+  }
+}
@@ -0,0 +1,44 @@
+const SIZE_UNITS = {
+  b: 1,
+  k: 1024,
+  kb: 1024,
+  m: 1024 ** 2,
+  mb: 1024 ** 2,
+  g: 1024 ** 3,
+  gb: 1024 ** 3,
+};
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+export function parseSize(input) {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(input).trim());
+  const unit = match && (match[2].toLowerCase() || "b");
+  if (!match || !(unit in SIZE_UNITS)) {
+    throw new Error(`Invalid size "${input}" (e.g. 512k, 10mb, 1g)`);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[unit]);
+}
+
+// Bare numbers are seconds
+export function parseDuration(input) {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(input).trim());
+  const unit = match && (match[2].toLowerCase() || "s");
+  if (!match || !(unit in DURATION_UNITS)) {
+    throw new Error(`Invalid duration "${input}" (e.g. 30s, 5m, 1h)`);
+  }
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[unit]);
+}
+
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 ** 2) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+}
+
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
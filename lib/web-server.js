@@ -0,0 +1,150 @@
+import { createServer } from "http";
+import { readFile } from "fs/promises";
+import { networkInterfaces } from "os";
+import { WebSocketServer, WebSocket } from "ws";
+
+const VIEWER_PAGE = new URL("./viewer.html", import.meta.url);
+
+export class LogWebServer {
+  constructor({ port = 7878, host = "127.0.0.1", backlog = 5000 } = {}) {
+    this.port = port;
+    this.host = host;
+    this.backlog = backlog;
+    this.history = [];
+    this.nextId = 1;
+    this.info = {};
+    this.server = null;
+    this.sockets = null;
+  }
+
+  async start(info = {}) {
+    this.info = info;
+    const page = await readFile(VIEWER_PAGE, "utf8");
+
+    this.server = createServer((request, response) => {
+      const { pathname } = new URL(request.url, "http://localhost");
+      if (
+        request.method !== "GET" ||
+        !["/", "/index.html"].includes(pathname)
+      ) {
+        response.writeHead(404, { "Content-Type": "text/plain" });
+        response.end("Not found");
+        return;
+      }
+      response.writeHead(200, {
+        "Content-Type": "text/html; charset=utf-8",
+        "Cache-Control": "no-store",
+      });
+      response.end(page);
+    });
+
+    this.sockets = new WebSocketServer({
+      server: this.server,
+      path: "/ws",
+      verifyClient: ({ origin }) => this.isAllowedOrigin(origin),
+    });
+    this.sockets.on("connection", (socket) => {
+      // Late joiners get the recent history before the live feed
+      socket.send(
+        JSON.stringify({
+          type: "hello",
+          info: this.info,
+          history: this.history,
+        })
+      );
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+    return this.urls();
+  }
+
+  // Binding to every interface is how teammates on the LAN get in, so list
+  // the addresses they can use
+  urls() {
+    if (!["0.0.0.0", "::"].includes(this.host)) {
+      return [`http://${this.host}:${this.port}/`];
+    }
+    return Object.values(networkInterfaces())
+      .flat()
+      .filter((address) => address.family === "IPv4")
+      .map((address) => `http://${address.address}:${this.port}/`);
+  }
+
+  // Browsers let any page open a WebSocket to localhost, so only the viewer
+  // served here may read the logs. Clients that send no Origin aren't
+  // browsers and could read the port anyway.
+  isAllowedOrigin(origin) {
+    if (!origin) return true;
+    const allowed = [
+      ...this.urls(),
+      `http://localhost:${this.port}/`,
+      `http://127.0.0.1:${this.port}/`,
+      `http://[::1]:${this.port}/`,
+    ].map((url) => new URL(url).origin);
+    return allowed.includes(origin);
+  }
+
+  sendRecord(record, extra = {}) {
+    this.broadcast({
+      type: "record",
+      record: {
+        id: this.nextId++,
+        timestamp: record.timestamp,
+        level: record.level,
+        tag: record.tag,
+        pid: record.pid,
+        tid: record.tid,
+        message: record.message,
+        lines: record.lines,
+        ...extra,
+      },
+    });
+  }
+
+  sendCrash(crash) {
+    const { type, title, packageName, pid, timestamp } = crash;
+    crash.records.forEach((record, index) =>
+      this.sendRecord(record, {
+        app: packageName,
+        crash: { type, title, pid, timestamp, first: index === 0 },
+      })
+    );
+  }
+
+  // Markers and process restarts show up as separator rows
+  sendNotice(text) {
+    this.broadcast({
+      type: "notice",
+      notice: { id: this.nextId++, text, time: new Date().toISOString() },
+    });
+  }
+
+  broadcast(message) {
+    this.history.push(message);
+    if (this.history.length > this.backlog) this.history.shift();
+    if (!this.sockets) return;
+
+    const data = JSON.stringify(message);
+    for (const socket of this.sockets.clients) {
+      if (socket.readyState === WebSocket.OPEN) socket.send(data);
+    }
+  }
+
+  async stop() {
+    if (!this.server) return;
+    for (const socket of this.sockets.clients) {
+      socket.terminate();
+    }
+    this.sockets.close();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+    this.sockets = null;
+  }
+}